@@ -0,0 +1,132 @@
+// Reference Zoom Meeting SDK signing server.
+//
+// Keeps the SDK secret on the server and hands signed JWTs to the web client.
+// Speaks the same contract as createZoomSignatureProvider in zoom_service.js:
+//   POST { meetingNumber, role, expirationSeconds? } -> { signature, sdkKey }
+//
+// Usage:
+//   ZOOM_SDK_KEY=... ZOOM_SDK_SECRET=... node tools/zoom_signature_server.js
+//
+// Only Node built-ins are used so it runs without an install step. It can also
+// be required from a test and started on a random port:
+//   const { createSignatureServer } = require('./tools/zoom_signature_server');
+//   const server = createSignatureServer({ sdkKey, sdkSecret }).listen(0);
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_EXPIRATION_SECONDS = 60 * 60 * 2;
+const MIN_EXPIRATION_SECONDS = 60 * 30;
+const MAX_EXPIRATION_SECONDS = 60 * 60 * 48;
+
+function base64UrlEncode(value) {
+    return Buffer.from(value).toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function generateSignature({ sdkKey, sdkSecret, meetingNumber, role, expirationSeconds, now = Date.now() }) {
+    const iat = Math.round(now / 1000) - 30;
+    const exp = iat + expirationSeconds;
+
+    const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64UrlEncode(JSON.stringify({
+        sdkKey: sdkKey,
+        mn: meetingNumber,
+        role: role,
+        iat: iat,
+        exp: exp,
+        appKey: sdkKey,
+        tokenExp: exp
+    }));
+
+    const signature = crypto.createHmac('sha256', sdkSecret)
+        .update(header + '.' + payload)
+        .digest('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+    return header + '.' + payload + '.' + signature;
+}
+
+// Returns { value } or { error } so the request handler can answer with a 400.
+function validateRequest(body) {
+    const meetingNumber = parseInt(String(body.meetingNumber ?? '').replace(/\D/g, ''), 10);
+    if (!Number.isSafeInteger(meetingNumber) || meetingNumber <= 0) {
+        return { error: 'meetingNumber must be a positive integer' };
+    }
+
+    const role = body.role === undefined ? 0 : Number(body.role);
+    if (role !== 0 && role !== 1) {
+        return { error: 'role must be 0 (attendee) or 1 (host)' };
+    }
+
+    let expirationSeconds = DEFAULT_EXPIRATION_SECONDS;
+    if (body.expirationSeconds !== undefined && body.expirationSeconds !== null) {
+        expirationSeconds = Number(body.expirationSeconds);
+        if (!Number.isInteger(expirationSeconds) ||
+            expirationSeconds < MIN_EXPIRATION_SECONDS ||
+            expirationSeconds > MAX_EXPIRATION_SECONDS) {
+            return { error: `expirationSeconds must be between ${MIN_EXPIRATION_SECONDS} and ${MAX_EXPIRATION_SECONDS}` };
+        }
+    }
+
+    return { value: { meetingNumber, role, expirationSeconds } };
+}
+
+function createSignatureServer({ sdkKey, sdkSecret, allowOrigin = '*' }) {
+    if (!sdkKey || !sdkSecret) {
+        throw new Error('sdkKey and sdkSecret are required');
+    }
+
+    const send = (res, status, body) => {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': allowOrigin,
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    return http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') return send(res, 204);
+        if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+        let raw = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            raw += chunk;
+            // Signing requests are tiny; anything bigger is not ours
+            if (raw.length > 10 * 1024) req.destroy();
+        });
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(raw || '{}');
+            } catch (e) {
+                return send(res, 400, { error: 'Body must be JSON' });
+            }
+
+            const { value, error } = validateRequest(body);
+            if (error) return send(res, 400, { error });
+
+            const signature = generateSignature({ sdkKey, sdkSecret, ...value });
+            send(res, 200, { signature, sdkKey });
+        });
+    });
+}
+
+module.exports = { createSignatureServer, generateSignature, validateRequest };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 4000;
+    const server = createSignatureServer({
+        sdkKey: process.env.ZOOM_SDK_KEY,
+        sdkSecret: process.env.ZOOM_SDK_SECRET,
+        allowOrigin: process.env.ALLOW_ORIGIN || '*'
+    });
+    server.listen(port, () => console.log(`Zoom signature server listening on port ${port}`));
+}
@@ -0,0 +1,489 @@
+// Offline stand-in for the Zoom Meeting SDK Component View (ZoomMtgEmbedded).
+//
+// Implements the part of the SDK zoom_service.js uses, so the grid, lifecycle,
+// lobby, reconnect and recorder code can be worked on without the CDN script or
+// a real meeting. index.html loads it instead of the CDN with ?fakeZoom=1, on
+// localhost only.
+//
+// Everything is scripted from the browser console through window.ZoomFake:
+//   ZoomFake.addParticipant({ displayName: 'Anna', bVideoOn: false })
+//   ZoomFake.updateParticipant(userId, { muted: true, isHold: false })
+//   ZoomFake.removeParticipant(userId)
+//   ZoomFake.setActiveSpeaker(userId)
+//   ZoomFake.startShare(userId) / ZoomFake.stopShare()
+//   ZoomFake.receiveChat(userId, 'Hello')
+//   ZoomFake.openBreakoutRooms(['Team 1', 'Team 2']) / ZoomFake.closeBreakoutRooms()
+//   ZoomFake.moveToBreakoutRoom(roomId)  // as if the host moved us
+//   ZoomFake.dropConnection() / ZoomFake.endMeeting()
+//   ZoomFake.failNextJoin(3008, 'Meeting has not started')  // once
+//   ZoomFake.configure({ joinDelayMs, joinError, participants, ... })
+// SDK error objects have the SDK's { type, reason, errorCode } shape.
+
+(function () {
+    const DEFAULT_PARTICIPANTS = [
+        { displayName: 'Facilitator', isHost: true },
+        { displayName: 'Анна Иванова', muted: true },
+        { displayName: 'Pavel Smirnov', bVideoOn: false }
+    ];
+
+    const DEFAULT_DEVICES = {
+        microphones: [{ deviceId: 'fake-mic-1', label: 'Fake Microphone' }, { deviceId: 'fake-mic-2', label: 'Fake Headset' }],
+        cameras: [{ deviceId: 'fake-cam-1', label: 'Fake Camera' }],
+        speakers: [{ deviceId: 'fake-speaker-1', label: 'Fake Speakers' }]
+    };
+
+    const config = {
+        // Participants besides us, added on join
+        participants: DEFAULT_PARTICIPANTS,
+        joinDelayMs: 300,
+        // { errorCode, reason } to fail every join, e.g. a wrong password (3004)
+        joinError: null,
+        // Simulate a waiting room: we join on hold until ZoomFake.admit()
+        waitingRoom: false,
+        devices: DEFAULT_DEVICES
+    };
+
+    let client = null;
+    let nextUserId = 16778240;
+    let queuedJoinErrors = [];
+
+    function sdkError(errorCode, reason) {
+        return { type: 'JOIN_MEETING_FAILED', reason: reason, errorCode: errorCode };
+    }
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    function makeUser(fields) {
+        const userId = nextUserId++;
+        return {
+            userId: userId,
+            // Stable across rejoins in the real SDK; unique per fake user here
+            participantUUID: 'fake-' + userId.toString(16),
+            displayName: 'Guest',
+            audio: 'computer',
+            muted: false,
+            bVideoOn: true,
+            isHost: false,
+            isCoHost: false,
+            isHold: false,
+            bRaiseHand: false,
+            sharerOn: false,
+            ...fields
+        };
+    }
+
+    function colorFor(userId) {
+        const palette = ['#5C6BC0', '#26A69A', '#EF6C00', '#AB47BC', '#42A5F5', '#8D6E63'];
+        return palette[Math.abs(userId) % palette.length];
+    }
+
+    function createFakeClient() {
+        const handlers = new Map();
+        const state = {
+            initialized: false,
+            joined: false,
+            root: null,
+            users: [],
+            self: null,
+            activeMic: DEFAULT_DEVICES.microphones[0].deviceId,
+            activeCamera: DEFAULT_DEVICES.cameras[0].deviceId,
+            activeSpeaker: DEFAULT_DEVICES.speakers[0].deviceId,
+            // canvas -> interval drawing the fake video
+            renders: new Map(),
+            // { boId, name, attendeeList } opened by ZoomFake.openBreakoutRooms
+            breakoutRooms: [],
+            // The room we're in, and the main session's people while we are
+            breakoutRoom: null,
+            mainUsers: null
+        };
+
+        function emit(event, payload) {
+            const listeners = handlers.get(event);
+            if (!listeners) return;
+            for (const handler of [...listeners]) {
+                try {
+                    handler(payload);
+                } catch (e) { console.warn(`[fake zoom] "${event}" handler failed`, e); }
+            }
+        }
+
+        function findUser(userId) {
+            return state.users.find(u => u.userId === userId) || null;
+        }
+
+        function breakoutRoomInfo(room) {
+            return { boId: room.boId, name: room.name, attendeeList: room.attendeeList.map(u => ({ ...u })) };
+        }
+
+        // Like the SDK: a reconnect with the move as its reason, then we're in a
+        // session that only lists the room's people, under a new user id
+        function moveToRoom(room, reason) {
+            emit('connection-change', { state: 'Reconnecting', reason: reason });
+            setTimeout(() => {
+                if (!state.joined) return;
+                if (!state.breakoutRoom) state.mainUsers = state.users.filter(u => u !== state.self);
+                state.self = { ...state.self, userId: nextUserId++ };
+                state.users = [state.self, ...(room ? room.attendeeList : state.mainUsers)];
+                state.breakoutRoom = room;
+                if (!room) state.mainUsers = null;
+                emit('connection-change', { state: 'Connected' });
+            }, config.joinDelayMs);
+        }
+
+        // Paints a moving placeholder so rendering (and recording) visibly works
+        function drawFrame(canvas, user, label) {
+            const context = canvas.getContext && canvas.getContext('2d');
+            if (!context) return;
+            const { width, height } = canvas;
+            context.fillStyle = colorFor(user ? user.userId : 0);
+            context.fillRect(0, 0, width, height);
+            const x = (Date.now() / 10) % width;
+            context.fillStyle = 'rgba(255,255,255,0.25)';
+            context.fillRect(x, 0, width / 10, height);
+            context.fillStyle = '#fff';
+            context.font = `${Math.max(12, Math.round(height / 10))}px sans-serif`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(label, width / 2, height / 2);
+        }
+
+        function startDrawing(canvas, user, label, width, height) {
+            stopDrawing(canvas);
+            if (width) canvas.width = width;
+            if (height) canvas.height = height;
+            drawFrame(canvas, user, label);
+            state.renders.set(canvas, setInterval(() => drawFrame(canvas, user, label), 200));
+        }
+
+        function stopDrawing(canvas) {
+            clearInterval(state.renders.get(canvas));
+            state.renders.delete(canvas);
+        }
+
+        function requireJoined() {
+            if (!state.joined) return Promise.reject({ type: 'INVALID_OPERATION', reason: 'Not in a meeting' });
+            return null;
+        }
+
+        function updateSelf(changes) {
+            Object.assign(state.self, changes);
+            emit('user-updated', [{ ...state.self }]);
+        }
+
+        const mediaStream = {
+            renderVideo(canvas, userId, width, height) {
+                const user = findUser(userId);
+                if (!user) return Promise.reject({ type: 'INVALID_PARAMETERS', reason: 'No such user' });
+                startDrawing(canvas, user, user.displayName, width, height);
+                return Promise.resolve();
+            },
+            stopRenderVideo(canvas) {
+                stopDrawing(canvas);
+                return Promise.resolve();
+            },
+            startShareView(canvas, userId) {
+                const user = findUser(userId);
+                if (!user || !user.sharerOn) return Promise.reject({ type: 'INVALID_OPERATION', reason: 'User is not sharing' });
+                startDrawing(canvas, user, `Screen of ${user.displayName}`, 1280, 720);
+                state.shareCanvas = canvas;
+                return Promise.resolve();
+            },
+            stopShareView() {
+                if (state.shareCanvas) stopDrawing(state.shareCanvas);
+                state.shareCanvas = null;
+                return Promise.resolve();
+            },
+            startAudio() {
+                return requireJoined() || Promise.resolve(updateSelf({ audio: 'computer', muted: true }));
+            },
+            muteAudio() {
+                return requireJoined() || Promise.resolve(updateSelf({ muted: true }));
+            },
+            unmuteAudio() {
+                return requireJoined() || Promise.resolve(updateSelf({ muted: false }));
+            },
+            startVideo() {
+                return requireJoined() || Promise.resolve(updateSelf({ bVideoOn: true }));
+            },
+            stopVideo() {
+                return requireJoined() || Promise.resolve(updateSelf({ bVideoOn: false }));
+            },
+            getMicList: () => config.devices.microphones.map(d => ({ ...d })),
+            getCameraList: () => config.devices.cameras.map(d => ({ ...d })),
+            getSpeakerList: () => config.devices.speakers.map(d => ({ ...d })),
+            getActiveMicrophone: () => state.activeMic,
+            getActiveCamera: () => state.activeCamera,
+            getActiveSpeaker: () => state.activeSpeaker,
+            switchMicrophone(deviceId) {
+                state.activeMic = deviceId;
+                return Promise.resolve();
+            },
+            switchCamera(deviceId) {
+                state.activeCamera = deviceId;
+                return Promise.resolve();
+            },
+            switchSpeaker(deviceId) {
+                state.activeSpeaker = deviceId;
+                return Promise.resolve();
+            }
+        };
+
+        function chatMessage(sender, receiver, text) {
+            return {
+                id: `fake-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+                message: text,
+                sender: { userId: sender.userId, name: sender.displayName },
+                receiver: receiver ? { userId: receiver.userId, name: receiver.displayName } : { userId: 0, name: 'Everyone' },
+                timestamp: Date.now()
+            };
+        }
+
+        const sdkClient = {
+            init(options = {}) {
+                if (!options.zoomAppRoot) return Promise.reject({ type: 'INVALID_PARAMETERS', reason: 'zoomAppRoot is required' });
+                state.initialized = true;
+                state.root = document.createElement('div');
+                state.root.className = 'fake-zoom-root';
+                state.root.style.width = '100%';
+                state.root.style.height = '100%';
+                state.root.style.display = 'flex';
+                state.root.style.alignItems = 'center';
+                state.root.style.justifyContent = 'center';
+                state.root.style.color = '#888';
+                state.root.style.fontFamily = 'sans-serif';
+                state.root.textContent = 'Fake Zoom meeting';
+                options.zoomAppRoot.appendChild(state.root);
+                return Promise.resolve();
+            },
+
+            async join(options = {}) {
+                if (!state.initialized) throw { type: 'INVALID_OPERATION', reason: 'Call init before join' };
+                if (!options.signature || !options.meetingNumber) {
+                    throw sdkError(3000, 'Missing signature or meeting number');
+                }
+                await delay(config.joinDelayMs);
+
+                const error = queuedJoinErrors.shift() || config.joinError;
+                if (error) throw sdkError(error.errorCode, error.reason);
+
+                state.self = makeUser({ displayName: options.userName || 'Me', isHold: !!config.waitingRoom });
+                state.users = [state.self, ...config.participants.map(makeUser)];
+                state.joined = true;
+                setTimeout(() => emit('connection-change', { state: 'Connected' }), 0);
+            },
+
+            leave() {
+                state.joined = false;
+                state.users = [];
+                state.self = null;
+                for (const canvas of [...state.renders.keys()]) stopDrawing(canvas);
+                return Promise.resolve();
+            },
+
+            on(event, handler) {
+                if (!handlers.has(event)) handlers.set(event, new Set());
+                handlers.get(event).add(handler);
+            },
+
+            off(event, handler) {
+                const listeners = handlers.get(event);
+                if (listeners) listeners.delete(handler);
+            },
+
+            getAttendeeslist: () => state.users.map(u => ({ ...u })),
+            getCurrentUser: () => (state.self ? { ...state.self } : null),
+            getMediaStream: () => mediaStream,
+
+            // Everyone without a userId, privately otherwise
+            sendChat(text, userId) {
+                if (userId === undefined || userId === null) return Promise.resolve(chatMessage(state.self, null, text));
+                const receiver = findUser(userId);
+                if (!receiver) return Promise.reject({ type: 'INVALID_PARAMETERS', reason: 'No such user' });
+                return Promise.resolve(chatMessage(state.self, receiver, text));
+            },
+
+            getBreakoutRoomList: () => state.breakoutRooms.map(breakoutRoomInfo),
+            getCurrentBreakoutRoom: () => (state.breakoutRoom ? breakoutRoomInfo(state.breakoutRoom) : null),
+
+            joinBreakoutRoom(roomId) {
+                const room = state.breakoutRooms.find(r => r.boId === roomId);
+                if (!room) return Promise.reject({ type: 'INVALID_PARAMETERS', reason: 'No such breakout room' });
+                moveToRoom(room, 'join breakout room');
+                return Promise.resolve();
+            },
+
+            leaveBreakoutRoom() {
+                if (!state.breakoutRoom) return Promise.reject({ type: 'INVALID_OPERATION', reason: 'Not in a breakout room' });
+                moveToRoom(null, 'back to main session');
+                return Promise.resolve();
+            },
+
+            makeCoHost(userId) {
+                const user = findUser(userId);
+                if (!user) return Promise.reject({ type: 'INVALID_PARAMETERS', reason: 'No such user' });
+                user.isCoHost = true;
+                emit('user-updated', [{ ...user }]);
+                return Promise.resolve();
+            },
+
+            updateVideoOptions() {
+                return Promise.resolve();
+            }
+        };
+
+        // Scripting hooks used by window.ZoomFake
+        sdkClient._fake = { state, emit, findUser, stopDrawing, moveToRoom };
+        return sdkClient;
+    }
+
+    function current() {
+        if (!client || !client._fake.state.joined) {
+            console.warn('[fake zoom] Not in a meeting');
+            return null;
+        }
+        return client._fake;
+    }
+
+    window.ZoomMtgEmbedded = {
+        createClient() {
+            // Like the real SDK: one client until destroyClient
+            if (!client) client = createFakeClient();
+            return client;
+        },
+        destroyClient() {
+            if (client) {
+                client.leave();
+                const root = client._fake.state.root;
+                if (root) root.remove();
+            }
+            client = null;
+        }
+    };
+
+    window.ZoomFake = {
+        configure(options) {
+            Object.assign(config, options);
+            return { ...config };
+        },
+
+        failNextJoin(errorCode, reason = 'Fake join failure') {
+            queuedJoinErrors.push({ errorCode, reason });
+        },
+
+        addParticipant(fields = {}) {
+            const fake = current();
+            if (!fake) return null;
+            const user = makeUser(fields);
+            fake.state.users.push(user);
+            fake.emit('user-added', [{ ...user }]);
+            return user.userId;
+        },
+
+        updateParticipant(userId, changes) {
+            const fake = current();
+            const user = fake && fake.findUser(userId);
+            if (!user) return;
+            Object.assign(user, changes);
+            fake.emit('user-updated', [{ ...user }]);
+        },
+
+        removeParticipant(userId) {
+            const fake = current();
+            const user = fake && fake.findUser(userId);
+            if (!user) return;
+            fake.state.users = fake.state.users.filter(u => u !== user);
+            fake.emit('user-removed', [{ ...user }]);
+        },
+
+        // Lets us out of the simulated waiting room
+        admit() {
+            const fake = current();
+            if (fake) window.ZoomFake.updateParticipant(fake.state.self.userId, { isHold: false });
+        },
+
+        setActiveSpeaker(userId) {
+            const fake = current();
+            const user = fake && fake.findUser(userId);
+            if (user) fake.emit('active-speaker', [{ userId: user.userId, displayName: user.displayName }]);
+        },
+
+        startShare(userId) {
+            const fake = current();
+            const user = fake && fake.findUser(userId);
+            if (!user) return;
+            fake.state.users.forEach(u => { u.sharerOn = u === user; });
+            fake.emit('active-share-change', { state: 'Active', userId: user.userId });
+        },
+
+        stopShare() {
+            const fake = current();
+            if (!fake) return;
+            const sharer = fake.state.users.find(u => u.sharerOn);
+            fake.state.users.forEach(u => { u.sharerOn = false; });
+            fake.emit('active-share-change', { state: 'Inactive', userId: sharer ? sharer.userId : 0 });
+        },
+
+        receiveChat(userId, text, { privately = false } = {}) {
+            const fake = current();
+            const sender = fake && fake.findUser(userId);
+            if (!sender) return;
+            const self = fake.state.self;
+            fake.emit('chat-on-message', {
+                id: `fake-${Date.now()}`,
+                message: text,
+                sender: { userId: sender.userId, name: sender.displayName },
+                receiver: privately ? { userId: self.userId, name: self.displayName } : { userId: 0, name: 'Everyone' },
+                timestamp: Date.now()
+            });
+        },
+
+        // Each room gets two made-up people; returns the room ids
+        openBreakoutRooms(names = ['Room 1', 'Room 2']) {
+            const fake = current();
+            if (!fake) return [];
+            fake.state.breakoutRooms = names.map((name, index) => ({
+                boId: `fake-bo-${index + 1}`,
+                name: name,
+                attendeeList: [makeUser({ displayName: `${name} guest A` }), makeUser({ displayName: `${name} guest B` })]
+            }));
+            fake.emit('room-state-change', { status: 'Opened' });
+            return fake.state.breakoutRooms.map(room => room.boId);
+        },
+
+        closeBreakoutRooms() {
+            const fake = current();
+            if (!fake) return;
+            if (fake.state.breakoutRoom) fake.moveToRoom(null, 'back to main session');
+            fake.state.breakoutRooms = [];
+            fake.emit('room-state-change', { status: 'Closed' });
+        },
+
+        moveToBreakoutRoom(roomId) {
+            const fake = current();
+            const room = fake && fake.state.breakoutRooms.find(r => r.boId === roomId);
+            if (room) fake.moveToRoom(room, 'move to breakout room');
+        },
+
+        // A network drop: the SDK gives up reconnecting by itself
+        dropConnection(reason = 'network error') {
+            const fake = current();
+            if (!fake) return;
+            fake.emit('connection-change', { state: 'Reconnecting' });
+            setTimeout(() => fake.emit('connection-change', { state: 'Closed', reason: reason }), 500);
+        },
+
+        // The host ends the meeting for everyone
+        endMeeting() {
+            const fake = current();
+            if (fake) fake.emit('connection-change', { state: 'Closed', reason: 'ended by host' });
+        },
+
+        get participants() {
+            return client ? client.getAttendeeslist() : [];
+        }
+    };
+
+    console.log('[fake zoom] Using the offline ZoomMtgEmbedded stand-in');
+})();
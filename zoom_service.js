@@ -1,14 +1,128 @@
 
 let client = null;
 let isGridMode = false;
-let gridUpdateInterval = null;
 
-async function initZoom(meetingNumber, password, userName, sdkKey, sdkSecret, customization = {}) {
+// `auth` tells initZoom where the meeting signature comes from:
+//   - a string: a ready-made signature (JWT) issued by our backend
+//   - a function: async ({ sdkKey, meetingNumber, role }) => signature
+//     (or { signature, sdkKey })
+//   - an object: { signature }, { signatureProvider }, { signatureEndpoint }
+//     or, for local development only, { sdkSecret, devSigning: true }
+// Breaking: a raw SDK secret string, which older builds accepted here, now
+// rejects with 'signature-failed'; use { sdkSecret, devSigning: true }.
+// The signature is signed for one SDK key: the key the signing server returns
+// (or the one inside the JWT) is joined with, and a different `sdkKey`
+// argument is reported with a warning instead of failing inside the SDK.
+//
+// `options.locale` (e.g. 'en-US', 'uk') sets the language of the Zoom UI and
+// of our own injected strings; without it the browser locale is used.
+//
+// `options.theme` is a preset name ('large-buttons', the default; 'sdk' for
+// Zoom's own toolbar sizing; 'compact') or { preset, colors, hideToolbar }.
+// Zoom's UI is only recoloured when `colors` overrides are passed (see
+// DEFAULT_THEME_COLORS). `hideToolbar` removes Zoom's footer for apps that
+// draw their own controls with the zoomService media functions. Without
+// options.theme, the theme last set with zoomService.setTheme is used.
+//
+// `options.deviceCheck: true` shows a camera/mic/speaker check in the container
+// before joining; the devices picked there are switched to once inside.
+//
+// `options.lobby` controls the waiting lobby shown while the host hasn't started
+// the meeting or holds us in the waiting room: { retryIntervalMs, maxWaitMs }
+// (see DEFAULT_LOBBY), or false to fail with 'meeting-not-started' instead.
+// `options.scheduledAt` (Date, ms or ISO string) adds a countdown to it.
+//
+// `options.reconnect` controls automatic rejoin after a dropped connection:
+// { maxAttempts, baseDelayMs, maxDelayMs } (see DEFAULT_RECONNECT), or false.
+//
+// `options.role` picks how we join: 'attendee' (default), 'host' or 'co-host'.
+// Hosts need a ZAK token in `options.zak`. 'co-host' on its own only shows
+// more meeting info: the SDK has no co-host join, the host has to promote us.
+// A host lists who to promote in `options.coHosts`, by stable identifier only:
+// user ids from the host's roster (zoomService.getParticipants()) or
+// { userId } / { participantUUID } entries. They are promoted as soon as they
+// join. Only these fields are matched: the SDK's attendee list carries no
+// email. Breaking: display names and emails were accepted before and are now
+// ignored with a warning, since anyone can join under any name. A failure to
+// watch is reported as a 'co-host-error' event and doesn't fail the join.
+//
+// Resolves with session info ({ meetingNumber, userName, role, userId, joinedAt }).
+// Rejects with a ZoomServiceError whose `code` is one of ZOOM_ERROR_CODES and
+// whose `sdkError` holds the original SDK error, if there was one.
+//
+// Calls are serialized with leaveZoom: a second initZoom waits for the first
+// to settle, then replaces its session.
+function initZoom(meetingNumber, password, userName, sdkKey, auth, customization = {}, options = {}) {
+    cancelReconnect();
+    cancelDeviceCheck();
+    cancelLobby();
+    // A later initZoom/leaveZoom bumps the generation to stop our lobby wait
+    const generation = lobbyGeneration;
+    return serializeLifecycle(async () => {
+        // Bad arguments are rejected without touching a running session
+        const request = validateJoinRequest(meetingNumber, options);
+        try {
+            const session = await joinThroughLobby(request, password, userName, sdkKey, auth, customization, options, generation);
+            // Kept so a dropped connection can rejoin with the same arguments
+            lastJoinArgs = { meetingNumber, password, userName, sdkKey, auth, customization, options };
+            return session;
+        } catch (error) {
+            // Don't leave a half-initialized client behind
+            await endSession();
+            throw error;
+        }
+    });
+}
+
+function validateJoinRequest(meetingNumber, options) {
+    const mnInt = normalizeMeetingNumber(meetingNumber);
+    if (mnInt === null) {
+        failJoin(new ZoomServiceError(ZOOM_ERROR_CODES.INVALID_MEETING_NUMBER, `Invalid meeting number "${meetingNumber}"`));
+    }
+
+    const roleName = options.role || 'attendee';
+    const roleConfig = ZOOM_ROLES[roleName];
+    if (!roleConfig) {
+        failJoin(new ZoomServiceError(ZOOM_ERROR_CODES.INVALID_OPTIONS, `Unknown role "${roleName}"`));
+    }
+    if (roleConfig.requiresZak && !options.zak) {
+        failJoin(new ZoomServiceError(ZOOM_ERROR_CODES.INVALID_OPTIONS, `Role "${roleName}" requires a ZAK token`));
+    }
+
+    return { mnInt, roleName, roleConfig, role: roleConfig.sdkRole };
+}
+
+// index.html adds the SDK script (or the fake) at runtime and publishes its
+// load as window.zoomSdkReady, so an initZoom that comes early waits for it
+async function loadZoomSdk() {
+    if (typeof ZoomMtgEmbedded !== 'undefined') return;
+    try {
+        if (window.zoomSdkReady) await window.zoomSdkReady;
+    } catch (e) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.SDK_INIT_FAILED, 'The Zoom SDK script failed to load', e);
+    }
+    if (typeof ZoomMtgEmbedded === 'undefined') {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.SDK_INIT_FAILED, 'The Zoom SDK is not loaded');
+    }
+}
+
+// `resuming` is set by reconnect attempts and lobby retries: the previous
+// session is already gone and listeners shouldn't see it end again
+async function joinSession(request, password, userName, sdkKey, auth, customization, options, resuming = false) {
+    const { mnInt, roleName, roleConfig, role } = request;
+    const locale = setZoomLocale(options.locale);
+
     // Ensure strict cleanup before trying to initialize a new session
-    await leaveZoom();
+    await endSession('leave', resuming ? { finalState: zoomState } : {});
+    setZoomState(ZOOM_STATES.INITIALIZING);
 
     // Create new client instance (since we destroy it on leave)
     if (!client) {
+        try {
+            await loadZoomSdk();
+        } catch (error) {
+            failJoin(error);
+        }
         client = ZoomMtgEmbedded.createClient();
     }
 
@@ -24,61 +138,38 @@ async function initZoom(meetingNumber, password, userName, sdkKey, sdkSecret, cu
     }
 
     if (!meetingElement) {
-        console.error('Zoom container not found after retries');
-        return;
+        failJoin(new ZoomServiceError(ZOOM_ERROR_CODES.CONTAINER_NOT_FOUND, 'Zoom container not found after retries'));
     }
 
     // Clear previous content if any (important for re-joining)
     meetingElement.innerHTML = '';
     meetingElement.style.display = 'block'; // Ensure visibility if it was hidden
+    // A status overlay (e.g. "reconnecting") stays on top while we join
+    if (statusOverlayEl) meetingElement.appendChild(statusOverlayEl);
 
-    const role = 0;
-
-    // Generate JWT Signature using CryptoJS
-    // Spec: https://developers.zoom.us/docs/meeting-sdk/auth/#generate-a-signature
-
-    // SPECIFIC FIX: Ensure meetingNumber is a clean integer
-    // Remove any non-digits (spaces, dashes) and parse as int
-    const mnInt = parseInt(String(meetingNumber).replace(/\D/g, ''), 10);
-    const safeSdkKey = sdkKey.trim();
-    const safeSdkSecret = sdkSecret.trim();
-
-    const iat = Math.round(new Date().getTime() / 1000) - 30;
-    const exp = iat + 60 * 60 * 2;
-
-    const oHeader = { alg: 'HS256', typ: 'JWT' };
-    const oPayload = {
-        sdkKey: safeSdkKey,
-        mn: mnInt,
-        role: role,
-        iat: iat,
-        exp: exp,
-        appKey: safeSdkKey,
-        tokenExp: exp
-    };
-
-    const sHeader = JSON.stringify(oHeader);
-    const sPayload = JSON.stringify(oPayload);
-
-    // Helper to base64url encode
-    const base64UrlEncode = (str) => {
-        const encoded = CryptoJS.enc.Base64.stringify(CryptoJS.enc.Utf8.parse(str));
-        return encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-    };
-
-    const base64UrlHeader = base64UrlEncode(sHeader);
-    const base64UrlPayload = base64UrlEncode(sPayload);
+    let safeSdkKey = String(sdkKey || '').trim();
 
-    const signature = CryptoJS.HmacSHA256(base64UrlHeader + "." + base64UrlPayload, sdkSecret);
-    const base64UrlSignature = CryptoJS.enc.Base64.stringify(signature)
-        .replace(/\+/g, '-')
-        .replace(/\//g, '_')
-        .replace(/=+$/, '');
+    // The signature is produced outside the page (see resolveSignature below),
+    // so the SDK secret never has to ship to the client.
+    let jwtSignature;
+    try {
+        const signed = await resolveSignature(auth, { sdkKey: safeSdkKey, meetingNumber: mnInt, role: role });
+        jwtSignature = signed.signature;
+        safeSdkKey = resolveSdkKey(safeSdkKey, signed.sdkKey);
+    } catch (error) {
+        const signatureError = new ZoomServiceError(ZOOM_ERROR_CODES.SIGNATURE_FAILED, `Could not obtain a meeting signature: ${error.message}`);
+        signatureError.cause = error;
+        failJoin(signatureError);
+    }
 
-    const jwtSignature = base64UrlHeader + "." + base64UrlPayload + "." + base64UrlSignature;
+    // Render size comes from the layout profile that fits the container,
+    // unless the caller pinned one through customization.video.viewSizes
+    fixedViewSize = (customization.video && customization.video.viewSizes && customization.video.viewSizes.default) || null;
+    const profile = pickLayoutProfile(meetingElement.clientWidth, meetingElement.clientHeight);
+    activeLayoutProfile = profile.name;
 
     // Merge default settings with passed customization
-    // Defaults: 960x540, no POI
+    // Defaults: layout profile size, no POI
     const defaultCustomize = {
         video: {
             isResizable: true,
@@ -86,15 +177,16 @@ async function initZoom(meetingNumber, password, userName, sdkKey, sdkSecret, cu
             disableVideo: false,
             viewSizes: {
                 default: {
-                    width: 960,
-                    height: 540
+                    width: profile.width,
+                    height: profile.height
                 }
             }
         },
         toolbar: {
             // Default buttons to show/hide if not specified can go here
             // buttons: [] 
-        }
+        },
+        meetingInfo: roleConfig.meetingInfo
     };
 
     // Deep merge or simple assign? Simple assign for top levels is usually enough for this SDK
@@ -120,416 +212,3870 @@ async function initZoom(meetingNumber, password, userName, sdkKey, sdkSecret, cu
         console.log('Initializing Zoom client with customization:', finalCustomize);
         await client.init({
             zoomAppRoot: meetingElement,
-            language: 'ru-RU',
+            language: locale.sdkLanguage,
             customize: finalCustomize
         });
+    } catch (error) {
+        failJoin(new ZoomServiceError(ZOOM_ERROR_CODES.SDK_INIT_FAILED, 'Zoom SDK failed to initialize', error));
+    }
+
+    // Rejoins keep the devices already in use; lobby retries reuse the
+    // devices picked before the first attempt
+    if (options.deviceCheck && !resuming) {
+        try {
+            request.chosenDevices = await runDeviceCheck(meetingElement);
+        } catch (error) {
+            failJoin(error);
+        }
+    }
 
-        console.log('Joining Zoom meeting...');
+    console.log('Joining Zoom meeting...');
+    setZoomState(ZOOM_STATES.JOINING);
+    emitZoomEvent('joining', { meetingNumber: mnInt, userName: userName, role: roleName });
+    try {
         await client.join({
             signature: jwtSignature,
             sdkKey: safeSdkKey,
             meetingNumber: mnInt,
             password: password,
             userName: userName,
-            userEmail: '',
-            tk: ''
+            userEmail: options.userEmail || '',
+            tk: '',
+            zak: roleConfig.requiresZak ? options.zak : ''
         });
+    } catch (error) {
+        const joinError = zoomErrorFromSdk(error);
+        // Not a failure yet: joinThroughLobby waits for the host and retries
+        if (joinError.code === ZOOM_ERROR_CODES.MEETING_NOT_STARTED && lobbyConfig(options)) throw joinError;
+        failJoin(joinError);
+    }
 
-        console.log('Joined Zoom meeting successfully');
+    console.log(`Joined Zoom meeting successfully as ${roleName}`);
+    setZoomState(ZOOM_STATES.IN_MEETING);
+    forwardClientEvents();
+    startRosterTracking();
+    startMediaTracking();
+    startBreakoutTracking();
+    if (request.chosenDevices) await switchToDevices(request.chosenDevices);
+    emitZoomEvent('joined', { meetingNumber: mnInt, userName: userName, role: roleName });
 
-        // Re-attach listener only if initialization succeeded
+    if (role === ZOOM_ROLES.host.sdkRole && Array.isArray(options.coHosts) && options.coHosts.length) {
         try {
-            // DYNAMIC SCALING LOGIC
-            // We forced a large resolution (960x540) to enable Desktop UI features (Gallery View).
-            // Now we must scale it down to fit the actual container using CSS transforms.
-            const scaleZoomContent = () => {
-                const container = findZoomContainer();
-                if (!container) return;
-
-                const targetWidth = 960; // Must match the viewSizes we set
-                const targetHeight = 540;
-
-                // Do not fallback to window size, as we are in a sub-container
-                const containerWidth = container.clientWidth;
-                const containerHeight = container.clientHeight;
-
-                // Avoid division by zero or invalid layout
-                if (!containerWidth || !containerHeight) return;
-
-                // Calculate ratios
-                const scaleX = containerWidth / targetWidth;
-                const scaleY = containerHeight / targetHeight;
-
-                // Use minimum scale to fit entire video content (contain)
-                // Or use max to cover. "Fit" is usually safer for UI.
-                const scale = Math.min(scaleX, scaleY);
-
-                const zoomRoot = document.getElementById('zmmtg-root') || container.firstElementChild;
-                if (zoomRoot) {
-                    // FLEXBOX CENTERING APPROACH
-                    // Enable flex on the container to center the 960x540 content
-                    container.style.display = 'flex';
-                    container.style.justifyContent = 'center';
-                    container.style.alignItems = 'center';
-                    container.style.position = 'relative';
-                    container.style.overflow = 'hidden'; // Keep hidden to clip content that scales out? Or visible? 
-                    // Usually hidden is safer for iframe boundaries, but might clip popups.
-                    // However, we are centering popups now with CSS.
-
-                    // Prepare the content content
-                    // IMPORTANT: Reset position to relative so flexbox controls layout
-                    zoomRoot.style.position = 'absolute'; // Changed to absolute for reliable transform origin centering
-                    zoomRoot.style.width = targetWidth + "px";
-                    zoomRoot.style.height = targetHeight + "px";
-
-                    // Reset positioning
-                    zoomRoot.style.margin = "0";
-                    zoomRoot.style.left = "50%";
-                    zoomRoot.style.top = "50%";
-
-                    // APPLY SCALE & CENTERING
-                    // Shift up by 50px (calc(-50% - 30px)) - Reduced slightly to be safe on smaller screens
-                    // Unconditional shift for all screen sizes
-                    zoomRoot.style.transform = `translate(-50%, calc(-50% - 50px)) scale(${scale})`;
-                    zoomRoot.style.transformOrigin = 'center center';
-                }
-            };
-
-            // Inject Custom CSS to force popups to center
-            const injectCustomCss = () => {
-                const styleId = 'zoom-custom-style-overrides';
-                if (!document.getElementById(styleId)) {
-                    const style = document.createElement('style');
-                    style.id = styleId;
-                    style.innerHTML = `
-                        /* Force Center Zoom Popups (Settings, Chat, Participants) */
-                        .zm-modal, .ant-modal, .suspension-window, .dialog-window-wrap, .img-layer, .chat-window, .chat-panel-wrap {
-                            left: 50% !important;
-                            top: 50% !important;
-                            transform: translate(-50%, calc(-50% - 50px)) !important; /* Shift UP 50px */
-                            position: fixed !important; /* Fixed relative to viewport/iframe */
-                            z-index: 9999 !important; /* Ensure ON TOP */
-                            max-height: 80vh !important;
-                            max-width: 90vw !important;
-                        }
-                        
-                        /* Specific Chat fixes */
-                         #chat-app, .chat-window-wrap, .chat-panel {
-                            left: 50% !important;
-                            top: 50% !important;
-                            transform: translate(-50%, calc(-50% - 50px)) !important;
-                            z-index: 10000 !important;
-                            position: fixed !important;
-                         }
-
-                        /* Fix overlap issues by ensuring the bottom toolbar has clearance if needed */
-                        .footer__toolbar {
-                            margin-bottom: 0px !important; 
-                        }
-
-                        /* --- LARGER ZOOM BUTTONS --- */
-                        /* Footer Toolbar Container */
-                        .footer {
-                            height: 100px !important; /* Increase bar height */
-                            padding-bottom: 15px !important;
-                        }
-                        
-                        .footer__toolbar {
-                            margin-bottom: 0px !important;
-                            height: 100% !important;
-                        }
-
-                        /* Button Container - Aggressive Selectors */
-                        .footer-button__button, 
-                        .footer-button-base__button,
-                        #zmmtg-root .footer button,
-                        [class*="footer-button"],
-                        [class*="ax-outline"] {
-                            width: 120px !important; 
-                            height: 90px !important; 
-                            margin: 0 10px !important;
-                            transform: scale(2.0) !important;
-                            transform-origin: center bottom !important; 
-                        }
-
-                        /* Icons */
-                        .footer-button__button-icon, 
-                        .footer-button-base__img-layer,
-                        svg {
-                            transform: scale(1.5) !important; /* Scale icons inside buttons */
-                        }
-
-                        /* Labels */
-                        .footer-button__button-label {
-                            font-size: 14px !important; /* Larger text */
-                            margin-top: 4px !important;
-                        }
-                        
-                        /* "End" Button - Make it very prominent */
-                        .footer__leave-btn {
-                             transform: scale(1.3) !important;
-                             margin-left: 20px !important;
-                        }
-                    `;
-                    document.head.appendChild(style);
-                }
-            };
-
-            injectCustomCss();
-
-            // Run once and on resize
-            scaleZoomContent();
-            window.addEventListener('resize', scaleZoomContent);
-
-            client.on('connection-change', (e) => {
-                if (e.state === 'Closed') {
-                    const el = findZoomContainer();
-                    if (el) {
-                        el.innerHTML = '';
-                        el.style.display = 'none';
-                        window.removeEventListener('resize', scaleZoomContent);
-                    }
-                }
-            });
-        } catch (e) { console.warn('Could not attach listener', e); }
-
-    } catch (error) {
-        console.error('Zoom join error:', error);
+            watchForCoHosts(options.coHosts);
+        } catch (e) {
+            reportCoHostError(e);
+        }
     }
+
+    // Re-attach listener only if initialization succeeded
+    try {
+        // Our CSS overrides: popup centering, brand colours and the toolbar preset
+        startSessionTheme(sessionTheme(options));
+
+        // Run once and whenever the viewport or orientation changes
+        startResponsiveLayout();
+
+        // Grid state, listeners and DOM belong to this session
+        trackCleanup(teardownGrid);
+
+        // Drops trigger a rejoin, a meeting ended on Zoom's side ends ours
+        trackClientListener('connection-change', handleConnectionChange);
+
+        // Cover the SDK's waiting room with our lobby until the host admits us
+        if (lobbyConfig(options)) watchWaitingRoom(options);
+    } catch (e) { console.warn('Could not attach listener', e); }
+
+    const currentUser = typeof client.getCurrentUser === 'function' ? client.getCurrentUser() : null;
+    return {
+        meetingNumber: mnInt,
+        userName: userName,
+        role: roleName,
+        locale: locale.locale,
+        userId: currentUser ? currentUser.userId : null,
+        joinedAt: Date.now()
+    };
 }
 
-function findZoomContainer() {
-    // Try global match first
-    let element = document.getElementById('zoom-meeting-container');
-    if (element) return element;
+// --- RESPONSIVE LAYOUT ---
+
+// The SDK renders at a fixed size which we then scale into the container
+// (a large render enables desktop UI features such as Gallery View).
+// Each profile is that render size plus a vertical shift that keeps the
+// SDK toolbar clear of our own Flutter controls.
+const LAYOUT_PROFILES = {
+    desktop: { name: 'desktop', width: 960, height: 540, shiftY: -50 },
+    tablet: { name: 'tablet', width: 768, height: 576, shiftY: -30 },
+    'portrait-tablet': { name: 'portrait-tablet', width: 576, height: 768, shiftY: -30 },
+    'portrait-mobile': { name: 'portrait-mobile', width: 360, height: 640, shiftY: 0 }
+};
+
+let activeLayoutProfile = null;
+// Render size from customization.video.viewSizes; disables profile switching
+let fixedViewSize = null;
+// Watches the Zoom container (the Flutter platform view) for size changes
+let containerResizeObserver = null;
+
+function pickLayoutProfile(width, height) {
+    if (fixedViewSize) {
+        return { name: 'custom', width: fixedViewSize.width, height: fixedViewSize.height, shiftY: -50 };
+    }
+    // Nothing laid out yet; desktop is what we always used
+    if (!width || !height) return LAYOUT_PROFILES.desktop;
 
-    // Search in Flutter Platform Views (Shadow DOM)
-    const platformViews = document.querySelectorAll('flt-platform-view');
-    for (let view of platformViews) {
-        if (view.shadowRoot) {
-            element = view.shadowRoot.getElementById('zoom-meeting-container');
-            if (element) return element;
-        }
+    const aspect = width / height;
+    if (aspect < 0.9) {
+        return width >= 600 ? LAYOUT_PROFILES['portrait-tablet'] : LAYOUT_PROFILES['portrait-mobile'];
     }
-    return null;
+    return width >= 1024 ? LAYOUT_PROFILES.desktop : LAYOUT_PROFILES.tablet;
 }
 
-async function leaveZoom() {
-    console.log('Attempting to leave Zoom...');
+// DYNAMIC SCALING LOGIC
+// Scale the SDK render down (or up) to fit the actual container using CSS transforms.
+function scaleZoomContent() {
+    const container = findZoomContainer();
+    if (!container) return;
 
-    // Attempt SDK leave, but don't let it block cleanup
-    try {
-        if (client) {
-            console.log('Client object keys:', Object.keys(client));
-            if (typeof client.leave === 'function') {
-                // Give it 2 seconds to leave gracefully
-                const leavePromise = client.leave();
-                const timeoutPromise = new Promise(resolve => setTimeout(resolve, 2000));
-                await Promise.race([leavePromise, timeoutPromise]);
-                console.log('Client leave completed (or timed out)');
-            } else {
-                console.warn('client.leave is not a function', client);
-            }
-        }
-    } catch (error) {
-        console.warn('Zoom SDK leave warning (ignoring):', error);
+    // Do not fallback to window size, as we are in a sub-container
+    const containerWidth = container.clientWidth;
+    const containerHeight = container.clientHeight;
+
+    // Avoid division by zero or invalid layout
+    if (!containerWidth || !containerHeight) return;
+
+    const profile = pickLayoutProfile(containerWidth, containerHeight);
+    if (profile.name !== activeLayoutProfile) {
+        activeLayoutProfile = profile.name;
+        applyViewSize(profile);
+        emitZoomEvent('layout-change', { profile: profile.name, width: profile.width, height: profile.height });
     }
 
-    // Try to destroy the client instance if method exists (cleaner teardown)
+    // Use minimum scale to fit entire video content (contain)
+    const scale = Math.min(containerWidth / profile.width, containerHeight / profile.height);
+
+    const zoomRoot = findZoomRoot(container);
+    if (zoomRoot) {
+        // FLEXBOX CENTERING APPROACH
+        container.style.display = 'flex';
+        container.style.justifyContent = 'center';
+        container.style.alignItems = 'center';
+        container.style.position = 'relative';
+        container.style.overflow = 'hidden'; // Safer for iframe boundaries; popups are centered with CSS
+
+        zoomRoot.style.position = 'absolute'; // Absolute for reliable transform origin centering
+        zoomRoot.style.width = profile.width + "px";
+        zoomRoot.style.height = profile.height + "px";
+
+        // Reset positioning
+        zoomRoot.style.margin = "0";
+        zoomRoot.style.left = "50%";
+        zoomRoot.style.top = "50%";
+
+        // APPLY SCALE & CENTERING
+        zoomRoot.style.transform = `translate(-50%, calc(-50% + ${profile.shiftY}px)) scale(${scale})`;
+        // Centered popups (see BASE_THEME_CSS) follow the same shift
+        document.documentElement.style.setProperty('--zoom-popup-shift', `${profile.shiftY}px`);
+        zoomRoot.style.transformOrigin = 'center center';
+    }
+}
+
+// Ask the SDK to re-render at the new profile size when the build supports it;
+// otherwise the new size only applies to our CSS scaling
+function applyViewSize(profile) {
+    if (!client || typeof client.updateVideoOptions !== 'function') return;
     try {
-        if (typeof ZoomMtgEmbedded.destroyClient === 'function') {
-            ZoomMtgEmbedded.destroyClient();
-            client = null; // Important: reset global variable
-            console.log('Destroyed Zoom Client');
+        client.updateVideoOptions({ viewSizes: { default: { width: profile.width, height: profile.height } } });
+    } catch (e) { console.warn('Could not update Zoom view size', e); }
+}
+
+// Flutter resizes the platform view without the window changing, so the
+// container's ResizeObserver drives re-evaluation; window events are the
+// fallback for browsers without one. Both are session resources.
+function startResponsiveLayout() {
+    scaleZoomContent();
+    if (typeof ResizeObserver === 'function') {
+        observeZoomContainer(findZoomContainer());
+        trackCleanup(unobserveZoomContainer);
+    } else {
+        trackListener(window, 'resize', scaleZoomContent);
+        trackListener(window, 'orientationchange', scaleZoomContent);
+        if (screen.orientation && screen.orientation.addEventListener) {
+            trackListener(screen.orientation, 'change', scaleZoomContent);
         }
-    } catch (e) { console.warn('Destroy client failed', e); }
+    }
+    trackCleanup(() => {
+        document.documentElement.style.removeProperty('--zoom-popup-shift');
+        activeLayoutProfile = null;
+    });
+}
 
-    // FORCE CLEANUP: This is the nuclear option to stop audio.
-    const meetingElement = findZoomContainer();
-    if (meetingElement) {
-        // DO NOT use remove() as it breaks Flutter's Platform View Registry
-        meetingElement.innerHTML = '';
-        meetingElement.style.display = 'none';
+function getLayoutProfile() {
+    return activeLayoutProfile;
+}
 
-        // Reload to force-kill audio? User requested "exit". 
-        // window.location.reload(); // Too aggressive for SPA.
+// --- THEMING ---
+
+// Our CSS overrides for the SDK UI. Every preset shares the popup centering
+// and the brand colour variables our own UI reads; presets only differ in
+// toolbar sizing, and the toolbar can be hidden on top of any of them.
+// Zoom's own UI is recoloured only when the app passes colour overrides.
+const THEME_STYLE_ID = 'zoom-custom-style-overrides';
+
+// The 2x toolbar the app has always shipped with
+const DEFAULT_THEME_PRESET = 'large-buttons';
+
+// Defaults match the app's manifest theme colour
+const DEFAULT_THEME_COLORS = {
+    primary: '#0175C2',
+    background: '#000000',
+    surface: '#222222',
+    text: '#FFFFFF',
+    danger: '#E53935',
+    activeSpeaker: '#2D8CFF'
+};
+
+const BASE_THEME_CSS = `
+    /* Force Center Zoom Popups (Settings, Chat, Participants) */
+    .zm-modal, .ant-modal, .suspension-window, .dialog-window-wrap, .img-layer, .chat-window, .chat-panel-wrap {
+        left: 50% !important;
+        top: 50% !important;
+        transform: translate(-50%, calc(-50% + var(--zoom-popup-shift, -50px))) !important; /* Same shift as the layout profile */
+        position: fixed !important; /* Fixed relative to viewport/iframe */
+        z-index: 9999 !important; /* Ensure ON TOP */
+        max-height: 80vh !important;
+        max-width: 90vw !important;
     }
 
-    // Re-finding to clear innerHTML specifically
-    const container = document.getElementById('zoom-meeting-container');
-    // Note: findZoomContainer handles ShadowDOM, but for 'remove' operations we want to be careful.
-
-    // BETTER APPROACH: Reload the page is the only 100% way if SDK is buggy.
-    // But we want to avoid that.
+    /* Specific Chat fixes */
+    #chat-app, .chat-window-wrap, .chat-panel {
+        left: 50% !important;
+        top: 50% !important;
+        transform: translate(-50%, calc(-50% + var(--zoom-popup-shift, -50px))) !important;
+        z-index: 10000 !important;
+        position: fixed !important;
+    }
 
-    // Let's try to clear the DOM content aggressively.
-    const aggressiveCleanup = findZoomContainer();
-    if (aggressiveCleanup) {
-        aggressiveCleanup.innerHTML = '';
-        aggressiveCleanup.style.display = 'none';
+    /* Fix overlap issues by ensuring the bottom toolbar has clearance if needed */
+    .footer__toolbar {
+        margin-bottom: 0px !important;
+    }
+`;
 
-        // Force reload of the window location if we are stuck?
-        // No, let's trust that clearing the 'zoomAppRoot' kills the iframe/rendering logic.
+const BRAND_COLORS_CSS = `
+    .footer {
+        background-color: var(--zoom-brand-background) !important;
+        color: var(--zoom-brand-text) !important;
     }
 
-    // Explicitly unmount if React was used internally? No access.
-    // We will rely on innerHTML = '' hitting the root.
-}
+    .zm-btn--primary, .ant-btn-primary {
+        background-color: var(--zoom-brand-primary) !important;
+        border-color: var(--zoom-brand-primary) !important;
+    }
 
+    .footer__leave-btn {
+        background-color: var(--zoom-brand-danger) !important;
+    }
+`;
+
+const THEME_PRESETS = {
+    // For older clients: 2x toolbar buttons and bigger labels
+    'large-buttons': `
+        /* Footer Toolbar Container */
+        .footer {
+            height: 100px !important; /* Increase bar height */
+            padding-bottom: 15px !important;
+        }
 
-// --- GRID VIEW IMPLEMENTATION ---
+        .footer__toolbar {
+            margin-bottom: 0px !important;
+            height: 100% !important;
+        }
 
-async function toggleZoomGrid(enable) {
-    if (!client) return;
-    isGridMode = enable;
-    console.log("Toggling Grid Mode:", enable);
+        /* Button Container - Aggressive Selectors */
+        .footer-button__button,
+        .footer-button-base__button,
+        #zmmtg-root .footer button,
+        [class*="footer-button"],
+        [class*="ax-outline"] {
+            width: 120px !important;
+            height: 90px !important;
+            margin: 0 10px !important;
+            transform: scale(2.0) !important;
+            transform-origin: center bottom !important;
+        }
 
-    const defaultContainer = findZoomContainer(); // The platform view
-    // We need to find the internal ZMMTG root which usually takes over the container
-    // or just hide the specific ZK/react roots if possible. 
-    // Usually 'zmmtg-root' is the ID.
-    const zoomRoot = document.getElementById('zmmtg-root') || defaultContainer.firstElementChild;
-    const gridContainer = getOrCreateGridContainer();
+        /* Icons */
+        .footer-button__button-icon,
+        .footer-button-base__img-layer,
+        svg {
+            transform: scale(1.5) !important; /* Scale icons inside buttons */
+        }
 
-    if (enable) {
-        if (zoomRoot) zoomRoot.style.visibility = 'hidden'; // Don't display:none or it might kill audio
-        gridContainer.style.display = 'grid';
-        await renderGrid();
+        /* Labels */
+        .footer-button__button-label {
+            font-size: 14px !important; /* Larger text */
+            margin-top: 4px !important;
+        }
 
-        // Start polling/listener for updates
-        if (!gridUpdateInterval) {
-            gridUpdateInterval = setInterval(renderGrid, 5000); // Fallback poll
+        /* "End" Button - Make it very prominent */
+        .footer__leave-btn {
+            transform: scale(1.3) !important;
+            margin-left: 20px !important;
         }
+    `,
 
-        // Attach listeners if not already
-        try {
-            client.on('user-added', renderGrid);
-            client.on('user-removed', renderGrid);
-            client.on('user-updated', renderGrid);
-        } catch (e) { }
+    // Zoom's own toolbar sizing
+    sdk: '',
 
-    } else {
-        if (zoomRoot) zoomRoot.style.visibility = 'visible';
-        gridContainer.style.display = 'none';
-        stopGridRendering();
+    // Small screens: slimmer toolbar, icons only
+    compact: `
+        .footer {
+            height: 48px !important;
+            padding-bottom: 0 !important;
+        }
 
-        if (gridUpdateInterval) clearInterval(gridUpdateInterval);
-        gridUpdateInterval = null;
+        .footer-button__button,
+        .footer-button-base__button {
+            width: 48px !important;
+            height: 44px !important;
+            margin: 0 2px !important;
+        }
 
-        try {
-            client.off('user-added', renderGrid);
-            client.off('user-removed', renderGrid);
-            client.off('user-updated', renderGrid);
-        } catch (e) { }
+        .footer-button__button-label {
+            display: none !important;
+        }
+    `
+};
+
+const HIDDEN_TOOLBAR_CSS = `
+    .footer,
+    .footer__toolbar {
+        display: none !important;
     }
+`;
+
+// `colors` only holds the app's overrides of DEFAULT_THEME_COLORS
+let currentTheme = { preset: DEFAULT_THEME_PRESET, colors: {}, hideToolbar: false };
+// Set with zoomService.setTheme; the next session starts with it
+let requestedTheme = null;
+// Whether the current session has our style tags in place
+let themeInSession = false;
+// Style tags we injected (document head and, if needed, the platform view's shadow root)
+let themeStyleNodes = [];
+
+// Accepts a preset name (keeps the current colours and toolbar visibility)
+// or { preset, colors, hideToolbar }. 'default' is DEFAULT_THEME_PRESET.
+function normalizeTheme(theme) {
+    const spec = typeof theme === 'string'
+        ? { preset: theme, colors: currentTheme.colors, hideToolbar: currentTheme.hideToolbar }
+        : (theme || {});
+    let preset = !spec.preset || spec.preset === 'default' ? DEFAULT_THEME_PRESET : spec.preset;
+    if (!(preset in THEME_PRESETS)) {
+        console.warn('Unknown Zoom theme preset:', preset);
+        preset = DEFAULT_THEME_PRESET;
+    }
+    return { preset, colors: { ...(spec.colors || {}) }, hideToolbar: !!spec.hideToolbar };
 }
 
-function getOrCreateGridContainer() {
-    let el = document.getElementById('custom-grid-container');
-    if (!el) {
-        el = document.createElement('div');
-        el.id = 'custom-grid-container';
-        el.style.position = 'fixed';
-        el.style.top = '0';
-        el.style.left = '0';
-        el.style.width = '100vw'; // Use full viewport over the iframe/view
-        el.style.height = '100vh';
-        el.style.zIndex = '99999'; // On top of everything
-        el.style.backgroundColor = '#000';
-        el.style.display = 'none';
+function themeColors(theme) {
+    return { ...DEFAULT_THEME_COLORS, ...theme.colors };
+}
 
-        // CSS Grid Layout
-        el.style.gridTemplateColumns = 'repeat(auto-fit, minmax(300px, 1fr))';
-        el.style.gap = '10px';
-        el.style.padding = '10px';
-        el.style.boxSizing = 'border-box';
-        el.style.overflowY = 'auto'; // Scrollable
+// options.theme, else what the app last picked with setTheme
+function sessionTheme(options) {
+    return options.theme === undefined ? requestedTheme : options.theme;
+}
 
-        document.body.appendChild(el);
+function buildThemeCss(theme) {
+    const c = themeColors(theme);
+    return `
+    :root, :host {
+        --zoom-brand-primary: ${c.primary};
+        --zoom-brand-background: ${c.background};
+        --zoom-brand-surface: ${c.surface};
+        --zoom-brand-text: ${c.text};
+        --zoom-brand-danger: ${c.danger};
+        --zoom-active-speaker: ${c.activeSpeaker};
     }
-    return el;
+    ${BASE_THEME_CSS}
+    ${Object.keys(theme.colors).length ? BRAND_COLORS_CSS : ''}
+    ${THEME_PRESETS[theme.preset]}
+    ${theme.hideToolbar ? HIDDEN_TOOLBAR_CSS : ''}
+    `;
 }
 
-async function renderGrid() {
-    if (!isGridMode || !client) return;
+// Injects (or replaces) our style overrides. Document styles don't reach into
+// a platform view's shadow root, so the tag is added there too.
+function applyZoomTheme(theme) {
+    currentTheme = normalizeTheme(theme);
+    removeZoomTheme();
+
+    const css = buildThemeCss(currentTheme);
+    const targets = [document.head];
+    const container = findZoomContainer();
+    const root = container && container.getRootNode();
+    if (root && root !== document && root.host) targets.push(root);
+
+    for (const target of targets) {
+        const style = document.createElement('style');
+        style.id = THEME_STYLE_ID;
+        style.textContent = css;
+        target.appendChild(style);
+        themeStyleNodes.push(style);
+    }
+    return getZoomTheme();
+}
 
-    try {
-        const grid = getOrCreateGridContainer();
+// The style tags live as long as the session; setTheme outside of one only
+// records the theme for the next join
+function startSessionTheme(theme) {
+    applyZoomTheme(theme);
+    themeInSession = true;
+    trackCleanup(() => {
+        themeInSession = false;
+        removeZoomTheme();
+    });
+}
 
-        // Ensure stream is available
-        let stream = null;
-        try { stream = client.getMediaStream(); } catch (e) { console.warn("No MediaStream:", e); }
+function setZoomTheme(theme) {
+    requestedTheme = normalizeTheme(theme);
+    if (themeInSession) return applyZoomTheme(requestedTheme);
+    currentTheme = requestedTheme;
+    return getZoomTheme();
+}
 
-        if (!stream) {
-            console.warn("Stream not found, retrying...");
-            return;
-        }
+function removeZoomTheme() {
+    for (const node of themeStyleNodes) node.remove();
+    themeStyleNodes = [];
+    // Leftover from an older build or a reload without leave
+    const stale = document.getElementById(THEME_STYLE_ID);
+    if (stale) stale.remove();
+}
 
-        const participants = client.getAllUser();
-        // Sync Container with Participants
-        grid.innerHTML = ''; // Start fresh to avoid artifacts (User's approach)
-
-        for (const p of participants) {
-            const card = document.createElement('div');
-            card.dataset.userId = p.userId;
-            card.style.position = 'relative';
-            card.style.background = '#222';
-            card.style.aspectRatio = '16/9';
-            card.style.overflow = 'hidden';
-            card.style.borderRadius = '8px';
-            card.style.border = '1px solid #444';
-
-            // Canvas for video
-            const canvas = document.createElement('canvas');
-            canvas.className = 'video-canvas';
-            canvas.style.width = '100%';
-            canvas.style.height = '100%';
-            canvas.style.display = 'block';
-
-            // Label
-            const label = document.createElement('div');
-            label.innerText = p.userName;
-            label.style.position = 'absolute';
-            label.style.bottom = '5px';
-            label.style.left = '5px';
-            label.style.color = 'white';
-            label.style.background = 'rgba(0,0,0,0.6)';
-            label.style.padding = '2px 6px';
-            label.style.fontSize = '12px';
-            label.style.borderRadius = '4px';
-            label.style.pointerEvents = 'none'; // Click through
-
-            card.appendChild(canvas);
-            card.appendChild(label);
-            grid.appendChild(card);
-
-            // Render Video: 640x360, Quality 3 (as per user sample)
-            try {
-                await stream.renderVideo(canvas, p.userId, 640, 360, 0, 0, 3);
-            } catch (e) {
-                console.warn('Failed to render video for', p.userName, e);
-            }
-        }
-    } catch (error) {
-        console.error("Render Grid Error:", error);
+function getZoomTheme() {
+    return { preset: currentTheme.preset, colors: themeColors(currentTheme), hideToolbar: currentTheme.hideToolbar };
+}
+
+// Keeps the preset and colours, only toggles Zoom's footer
+function setToolbarHidden(hidden) {
+    return setZoomTheme({ ...currentTheme, hideToolbar: !!hidden });
+}
+
+// --- LOCALIZATION ---
+
+// Languages the Zoom Meeting SDK UI ships with
+const ZOOM_SDK_LANGUAGES = [
+    'en-US', 'de-DE', 'es-ES', 'fr-FR', 'jp-JP', 'pt-PT', 'ru-RU', 'zh-CN',
+    'zh-TW', 'ko-KO', 'vi-VN', 'it-IT', 'pl-PL', 'tr-TR', 'id-ID', 'nl-NL', 'sv-SE'
+];
+
+// Zoom has no Ukrainian UI; English is the better fit for those clients
+const ZOOM_SDK_LANGUAGE_FALLBACKS = { uk: 'en-US' };
+
+const DEFAULT_LOCALE = 'ru-RU';
+
+// Strings we inject ourselves (grid controls, overlays, status messages).
+// Keys missing in a language fall back to Russian.
+const ZOOM_STRINGS = {
+    ru: {
+        previousPage: 'Предыдущая страница',
+        nextPage: 'Следующая страница',
+        audioMuted: 'Микрофон выключен',
+        videoOff: 'Камера выключена',
+        handRaised: 'Поднята рука',
+        pinHint: 'Дважды нажмите, чтобы закрепить',
+        reconnecting: 'Восстанавливаем соединение…',
+        reconnectAttempt: 'Попытка {attempt} из {max}',
+        deviceCheckTitle: 'Проверка устройств',
+        camera: 'Камера',
+        microphone: 'Микрофон',
+        speaker: 'Динамик',
+        testSpeaker: 'Проверить звук',
+        joinMeeting: 'Подключиться',
+        cancel: 'Отмена',
+        permissionDenied: '{device}: доступ запрещён. Разрешите его в настройках браузера.',
+        deviceNotFound: '{device}: устройство не найдено.',
+        deviceBusy: '{device}: устройство занято другим приложением.',
+        deviceFailed: '{device}: не удалось включить устройство.',
+        lobbyNotStarted: 'Ожидаем, когда ведущий начнёт встречу',
+        lobbyWaitingRoom: 'Ведущий скоро впустит вас',
+        lobbyStartsIn: 'Начало через {time}',
+        lobbyScheduledFor: 'Запланировано на {time}',
+        screenShare: '{name} показывает экран'
+    },
+    en: {
+        previousPage: 'Previous page',
+        nextPage: 'Next page',
+        audioMuted: 'Microphone muted',
+        videoOff: 'Camera off',
+        handRaised: 'Hand raised',
+        pinHint: 'Double-click to pin',
+        reconnecting: 'Reconnecting…',
+        reconnectAttempt: 'Attempt {attempt} of {max}',
+        deviceCheckTitle: 'Check your devices',
+        camera: 'Camera',
+        microphone: 'Microphone',
+        speaker: 'Speaker',
+        testSpeaker: 'Test speaker',
+        joinMeeting: 'Join',
+        cancel: 'Cancel',
+        permissionDenied: '{device}: access was denied. Allow it in the browser settings.',
+        deviceNotFound: '{device}: no device found.',
+        deviceBusy: '{device}: the device is used by another application.',
+        deviceFailed: '{device}: could not start the device.',
+        lobbyNotStarted: 'Waiting for the host to start the meeting',
+        lobbyWaitingRoom: 'The host will let you in soon',
+        lobbyStartsIn: 'Starts in {time}',
+        lobbyScheduledFor: 'Scheduled for {time}',
+        screenShare: '{name} is sharing the screen'
+    },
+    uk: {
+        previousPage: 'Попередня сторінка',
+        nextPage: 'Наступна сторінка',
+        audioMuted: 'Мікрофон вимкнено',
+        videoOff: 'Камеру вимкнено',
+        handRaised: 'Піднята рука',
+        pinHint: 'Двічі натисніть, щоб закріпити',
+        reconnecting: 'Відновлюємо з\'єднання…',
+        reconnectAttempt: 'Спроба {attempt} з {max}',
+        deviceCheckTitle: 'Перевірка пристроїв',
+        camera: 'Камера',
+        microphone: 'Мікрофон',
+        speaker: 'Динамік',
+        testSpeaker: 'Перевірити звук',
+        joinMeeting: 'Приєднатися',
+        cancel: 'Скасувати',
+        permissionDenied: '{device}: доступ заборонено. Дозвольте його в налаштуваннях браузера.',
+        deviceNotFound: '{device}: пристрій не знайдено.',
+        deviceBusy: '{device}: пристрій зайнятий іншою програмою.',
+        deviceFailed: '{device}: не вдалося увімкнути пристрій.',
+        lobbyNotStarted: 'Чекаємо, поки ведучий почне зустріч',
+        lobbyWaitingRoom: 'Ведучий незабаром впустить вас',
+        lobbyStartsIn: 'Початок через {time}',
+        lobbyScheduledFor: 'Заплановано на {time}',
+        screenShare: '{name} показує екран'
     }
+};
+
+let currentLocale = { locale: DEFAULT_LOCALE, sdkLanguage: DEFAULT_LOCALE, strings: 'ru' };
+
+// Requested locale first, then the browser's preferences, then our default
+function localeCandidates(requested) {
+    const browser = typeof navigator !== 'undefined'
+        ? [...(navigator.languages || []), navigator.language]
+        : [];
+    return [requested, ...browser, DEFAULT_LOCALE].filter(Boolean).map(String);
 }
 
-function stopGridRendering() {
-    const grid = document.getElementById('custom-grid-container');
-    if (grid) {
-        // Stop all canvases
-        if (client) {
-            try {
-                const stream = client.getMediaStream();
-                const canvases = grid.querySelectorAll('canvas');
-                canvases.forEach(c => stream.stopRenderVideo(c));
-            } catch (e) { }
-        }
-        grid.innerHTML = ''; // efficient clear
+function languageOf(locale) {
+    return locale.toLowerCase().split(/[-_]/)[0];
+}
+
+function resolveSdkLanguage(candidates) {
+    for (const candidate of candidates) {
+        const exact = ZOOM_SDK_LANGUAGES.find(l => l.toLowerCase() === candidate.toLowerCase().replace('_', '-'));
+        if (exact) return exact;
+        const language = languageOf(candidate);
+        if (ZOOM_SDK_LANGUAGE_FALLBACKS[language]) return ZOOM_SDK_LANGUAGE_FALLBACKS[language];
+        const sameLanguage = ZOOM_SDK_LANGUAGES.find(l => languageOf(l) === language);
+        if (sameLanguage) return sameLanguage;
     }
+    return DEFAULT_LOCALE;
+}
+
+function resolveStringsLanguage(candidates) {
+    const match = candidates.map(languageOf).find(language => ZOOM_STRINGS[language]);
+    return match || languageOf(DEFAULT_LOCALE);
+}
+
+// Picks the SDK language and our string table for `locale`. The SDK language
+// only takes effect on the next initZoom; our own strings update right away.
+function setZoomLocale(locale) {
+    const candidates = localeCandidates(locale);
+    currentLocale = {
+        locale: candidates[0],
+        sdkLanguage: resolveSdkLanguage(candidates),
+        strings: resolveStringsLanguage(candidates)
+    };
+    if (isGridMode) scheduleGridUpdate();
+    return currentLocale;
+}
+
+function getZoomLocale() {
+    return { ...currentLocale };
+}
+
+// Translate one of our own strings, filling {placeholders} from `params`
+function translate(key, params = {}) {
+    const table = ZOOM_STRINGS[currentLocale.strings] || {};
+    const template = table[key] ?? ZOOM_STRINGS[languageOf(DEFAULT_LOCALE)][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// --- LIFECYCLE ---
+
+// idle -> initializing -> joining -> in-meeting -> leaving -> idle
+// A failed join goes straight to leaving from initializing/joining.
+// A dropped connection goes in-meeting -> reconnecting -> initializing -> ...
+// A meeting that hasn't started goes joining -> waiting -> initializing -> ...
+// A breakout room move goes in-meeting -> moving-room -> in-meeting
+const ZOOM_STATES = {
+    IDLE: 'idle',
+    INITIALIZING: 'initializing',
+    JOINING: 'joining',
+    IN_MEETING: 'in-meeting',
+    MOVING_ROOM: 'moving-room',
+    WAITING: 'waiting',
+    RECONNECTING: 'reconnecting',
+    LEAVING: 'leaving'
+};
+
+let zoomState = ZOOM_STATES.IDLE;
+
+function setZoomState(next) {
+    if (next === zoomState) return;
+    const previous = zoomState;
+    zoomState = next;
+    console.log(`Zoom state: ${previous} -> ${next}`);
+    emitZoomEvent('state-change', { state: next, previous: previous });
+}
+
+function getZoomState() {
+    return zoomState;
+}
+
+// initZoom and leaveZoom run one at a time, in call order
+let lifecycleQueue = Promise.resolve();
+
+function serializeLifecycle(task) {
+    const run = lifecycleQueue.then(task, task);
+    lifecycleQueue = run.catch(() => { });
+    return run;
+}
+
+// Everything a session sets up registers its cleanup here; endSession
+// releases it all, newest first
+const sessionCleanups = new Set();
+
+// Returns a function that releases this one resource early
+function trackCleanup(cleanup) {
+    const entry = { cleanup };
+    sessionCleanups.add(entry);
+    return () => {
+        if (sessionCleanups.delete(entry)) runCleanup(entry);
+    };
+}
+
+function runCleanup(entry) {
+    try {
+        entry.cleanup();
+    } catch (e) { console.warn('Zoom session cleanup failed', e); }
+}
+
+function trackListener(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    return trackCleanup(() => target.removeEventListener(type, handler, options));
+}
+
+// Bound to the current client so the release still works after it's replaced
+function trackClientListener(event, handler) {
+    const sdkClient = client;
+    sdkClient.on(event, handler);
+    return trackCleanup(() => sdkClient.off(event, handler));
+}
+
+function releaseSessionResources() {
+    const entries = [...sessionCleanups].reverse();
+    sessionCleanups.clear();
+    entries.forEach(runCleanup);
+}
+
+// --- RECONNECTION ---
+
+// Rejoin after a dropped connection with exponential backoff (plus a little
+// jitter so a room full of clients doesn't retry in lockstep)
+const DEFAULT_RECONNECT = { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 30000 };
+
+// Join failures that another attempt can't fix
+function isRetryableJoinError(error) {
+    return ![
+        ZOOM_ERROR_CODES.INVALID_MEETING_NUMBER,
+        ZOOM_ERROR_CODES.WRONG_PASSWORD,
+        ZOOM_ERROR_CODES.INVALID_OPTIONS,
+        ZOOM_ERROR_CODES.CONTAINER_NOT_FOUND
+    ].includes(error && error.code);
+}
+
+// Arguments of the last successful initZoom
+let lastJoinArgs = null;
+// { attempt, config, preferences } while a reconnect is in progress
+let reconnectState = null;
+let reconnectTimer = null;
+// Bumped by cancelReconnect so drops handled before it don't start a reconnect
+let reconnectGeneration = 0;
+
+function reconnectConfig() {
+    const option = lastJoinArgs && lastJoinArgs.options.reconnect;
+    if (option === false) return null;
+    return { ...DEFAULT_RECONNECT, ...(option || {}) };
 }
 
+// Reasons the SDK sends with 'Closed' when the meeting ended for us on purpose.
+// Compared whole: any other reason, or none, is a dropped connection.
+const MEETING_END_REASONS = new Set(['ended by host', 'kicked by host', 'expeled by host', 'removed by host']);
+
+function isConnectionDrop(e) {
+    if (e.state !== 'Closed' && e.state !== 'Fail') return false;
+    if (MEETING_END_REASONS.has(String(e.reason || '').trim().toLowerCase())) return false;
+    // With an error code, the join error table decides (e.g. 3001 meeting gone)
+    const sdkCode = e.errorCode ?? e.code;
+    if (sdkCode !== undefined && sdkCode !== null) return isRetryableJoinError(zoomErrorFromSdk(e));
+    return true;
+}
+
+function handleConnectionChange(e) {
+    // Moving between breakout rooms reconnects to another session on purpose,
+    // whether we asked for it or the host moved us
+    if (e.state === 'Reconnecting' && ROOM_MOVE_REASONS.has(e.reason) && isInSession()) {
+        beginRoomMove().reconnecting = true;
+        return;
+    }
+    if (zoomState === ZOOM_STATES.MOVING_ROOM) {
+        // A 'Connected' from before the move started says nothing about it
+        if (e.state === 'Connected' && roomMove && roomMove.reconnecting) finishRoomMove();
+        // Closing the room we left is part of the move; a failure is a drop
+        if (e.state !== 'Fail') return;
+    }
+    // The SDK retries on its own first; cover the meeting while it does
+    if (e.state === 'Reconnecting' && zoomState === ZOOM_STATES.IN_MEETING) {
+        showStatusOverlay(translate('reconnecting'));
+        return;
+    }
+    if (e.state === 'Connected' && !reconnectState) {
+        // The waiting room lobby stays up until the host admits us
+        if (!lobbyShown) hideStatusOverlay();
+        return;
+    }
+    if ((e.state !== 'Closed' && e.state !== 'Fail') || !isInSession()) return;
+
+    const config = reconnectConfig();
+    if (!isConnectionDrop(e) || !config) {
+        hideStatusOverlay();
+        serializeLifecycle(() => endSession('closed'));
+        return;
+    }
+
+    console.warn('Zoom connection dropped, reconnecting...', e);
+    const generation = reconnectGeneration;
+    serializeLifecycle(async () => {
+        // initZoom/leaveZoom was called before we got our turn
+        if (generation !== reconnectGeneration || !isInSession()) return;
+        reconnectState = { attempt: 0, config, preferences: captureSessionPreferences() };
+        await endSession('connection-lost', { finalState: ZOOM_STATES.RECONNECTING });
+        await scheduleReconnectAttempt();
+    });
+}
+
+// In the meeting, or on the way between its rooms
+function isInSession() {
+    return zoomState === ZOOM_STATES.IN_MEETING || zoomState === ZOOM_STATES.MOVING_ROOM;
+}
+
+function reconnectDelay(attempt, config) {
+    const delay = Math.min(config.maxDelayMs, config.baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function scheduleReconnectAttempt() {
+    if (!reconnectState) return;
+    const { config } = reconnectState;
+    if (reconnectState.attempt >= config.maxAttempts) {
+        return giveUpReconnect(null);
+    }
+    const attempt = ++reconnectState.attempt;
+
+    const delayMs = reconnectDelay(attempt, config);
+    showStatusOverlay(translate('reconnecting'), translate('reconnectAttempt', { attempt, max: config.maxAttempts }));
+    emitZoomEvent('reconnecting', { attempt, maxAttempts: config.maxAttempts, delayMs });
+
+    const state = reconnectState;
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        serializeLifecycle(() => runReconnectAttempt(state))
+            .catch(error => console.warn('Zoom reconnect attempt crashed', error));
+    }, delayMs);
+}
+
+// `state` is the reconnectState the attempt was scheduled for; once
+// cancelReconnect replaces it, the attempt stops quietly
+async function runReconnectAttempt(state) {
+    // Cancelled by leaveZoom/initZoom while we waited
+    if (reconnectState !== state || zoomState !== ZOOM_STATES.RECONNECTING) return;
+
+    const args = lastJoinArgs;
+    try {
+        const request = validateJoinRequest(args.meetingNumber, args.options);
+        await joinSession(request, args.password, args.userName, args.sdkKey, args.auth, args.customization, args.options, true);
+    } catch (error) {
+        // The queued initZoom/leaveZoom ends whatever is left of this attempt
+        if (reconnectState !== state) return;
+        console.warn(`Zoom reconnect attempt ${state.attempt} failed`, error);
+        if (!isRetryableJoinError(error)) {
+            await giveUpReconnect(error);
+            return;
+        }
+        await endSession('connection-lost', { finalState: ZOOM_STATES.RECONNECTING });
+        await scheduleReconnectAttempt();
+        return;
+    }
+
+    if (reconnectState !== state) return;
+    const { attempt, preferences } = state;
+    reconnectState = null;
+    hideStatusOverlay();
+    await restoreSessionPreferences(preferences);
+    console.log(`Zoom reconnected after ${attempt} attempt(s)`);
+    emitZoomEvent('reconnected', { attempts: attempt });
+}
+
+async function giveUpReconnect(error) {
+    const attempts = reconnectState ? reconnectState.attempt : 0;
+    reconnectState = null;
+    hideStatusOverlay();
+    emitZoomEvent('reconnect-failed', {
+        attempts,
+        code: error ? error.code : null,
+        reason: error ? error.message : 'Reconnect attempts exhausted'
+    });
+    // Runs inside the lifecycle queue, so the session can be ended directly
+    await endSession('connection-lost');
+}
+
+function cancelReconnect() {
+    reconnectGeneration++;
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    }
+    if (reconnectState) {
+        reconnectState = null;
+        hideStatusOverlay();
+    }
+}
+
+// What the user had set up in the dropped session: grid mode and devices
+function captureSessionPreferences() {
+    const media = getMediaState();
+    return {
+        grid: isGridMode ? { layout: gridLayout, tilesPerPage: gridTilesPerPage, fullscreen: gridFullscreen } : null,
+        devices: { microphone: media.microphone, camera: media.camera, speaker: media.speaker }
+    };
+}
+
+async function restoreSessionPreferences(preferences) {
+    await switchToDevices(preferences.devices);
+
+    if (preferences.grid) {
+        await toggleZoomGrid(true, preferences.grid);
+    }
+}
+
+// --- LOBBY ---
+
+// Shown instead of a join error while the host hasn't started the meeting
+// (SDK 3008, join is retried on a timer) and while the host holds us in the
+// waiting room (the SDK admits us by itself). Branded with the theme colours.
+// maxWaitMs: null waits for the host indefinitely.
+const DEFAULT_LOBBY = { retryIntervalMs: 15000, maxWaitMs: 60 * 60 * 1000 };
+
+// { timer, countdown, cancel } while initZoom waits for the host
+let lobbyWait = null;
+// Bumped by cancelLobby; a join started under an older one stops retrying
+let lobbyGeneration = 0;
+// Which lobby the status overlay currently shows ('lobbyNotStarted' or
+// 'lobbyWaitingRoom'), null for none. Each is hidden only by its own code, so
+// the end of the not-started wait can't take down the waiting room.
+let lobbyShown = null;
+
+function lobbyConfig(options) {
+    if (options.lobby === false) return null;
+    return { ...DEFAULT_LOBBY, ...(options.lobby || {}) };
+}
+
+// Joins, waiting in the lobby and retrying while the meeting hasn't started
+async function joinThroughLobby(request, password, userName, sdkKey, auth, customization, options, generation) {
+    const config = lobbyConfig(options);
+    const waitStartedAt = Date.now();
+    const cancelled = () => new ZoomServiceError(ZOOM_ERROR_CODES.JOIN_CANCELLED, 'Stopped waiting for the meeting to start');
+    let resuming = false;
+    try {
+        for (;;) {
+            try {
+                const session = await joinSession(request, password, userName, sdkKey, auth, customization, options, resuming);
+                if (resuming) emitZoomEvent('lobby', { state: 'admitted', reason: 'not-started' });
+                return session;
+            } catch (error) {
+                if (!config || error.code !== ZOOM_ERROR_CODES.MEETING_NOT_STARTED) throw error;
+                // leaveZoom/initZoom came in while the retry was joining
+                if (generation !== lobbyGeneration) failJoin(cancelled());
+                if (config.maxWaitMs !== null && Date.now() - waitStartedAt >= config.maxWaitMs) failJoin(error);
+
+                await endSession('leave', { finalState: ZOOM_STATES.WAITING });
+                if (!resuming) {
+                    console.log('Meeting has not started yet, waiting in the lobby...');
+                    emitZoomEvent('lobby', { state: 'waiting', reason: 'not-started' });
+                }
+                resuming = true;
+                showLobby('lobbyNotStarted', options);
+                if (generation !== lobbyGeneration) failJoin(cancelled());
+                try {
+                    await waitForLobbyRetry(config.retryIntervalMs, options);
+                } catch (error) {
+                    failJoin(error);
+                }
+            }
+        }
+    } finally {
+        hideLobby('lobbyNotStarted');
+    }
+}
+
+function waitForLobbyRetry(delayMs, options) {
+    return new Promise((resolve, reject) => {
+        const wait = {
+            timer: setTimeout(() => {
+                stopLobbyWait(wait);
+                resolve();
+            }, delayMs),
+            countdown: setInterval(() => showLobby('lobbyNotStarted', options), 1000),
+            cancel: () => {
+                stopLobbyWait(wait);
+                reject(new ZoomServiceError(ZOOM_ERROR_CODES.JOIN_CANCELLED, 'Stopped waiting for the meeting to start'));
+            }
+        };
+        lobbyWait = wait;
+    });
+}
+
+function stopLobbyWait(wait) {
+    clearTimeout(wait.timer);
+    clearInterval(wait.countdown);
+    if (lobbyWait === wait) lobbyWait = null;
+}
+
+function cancelLobby() {
+    lobbyGeneration++;
+    if (lobbyWait) lobbyWait.cancel();
+}
+
+// Waiting room: the current user is on hold until the host admits them
+function watchWaitingRoom(options) {
+    let held = false;
+    let countdown = null;
+    const update = () => {
+        let me = null;
+        try { me = client.getCurrentUser(); } catch (e) { }
+        const isHeld = !!(me && me.isHold);
+        if (isHeld === held) return;
+        held = isHeld;
+
+        if (held) {
+            showLobby('lobbyWaitingRoom', options);
+            countdown = setInterval(() => showLobby('lobbyWaitingRoom', options), 1000);
+        } else {
+            clearInterval(countdown);
+            hideLobby('lobbyWaitingRoom');
+        }
+        emitZoomEvent('lobby', { state: held ? 'waiting' : 'admitted', reason: 'waiting-room' });
+    };
+
+    update();
+    trackClientListener('user-updated', update);
+    trackCleanup(() => {
+        clearInterval(countdown);
+        if (held) hideLobby('lobbyWaitingRoom');
+    });
+}
+
+function showLobby(messageKey, options) {
+    const overlay = showStatusOverlay(translate(messageKey), lobbySchedule(options.scheduledAt));
+    if (!overlay) return;
+    lobbyShown = messageKey;
+    // The theme CSS is only injected after joining, so brand the card directly
+    const colors = themeColors(normalizeTheme(sessionTheme(options)));
+    overlay.style.background = colors.background;
+    overlay.style.color = colors.text;
+}
+
+function hideLobby(messageKey) {
+    if (lobbyShown !== messageKey) return;
+    lobbyShown = null;
+    hideStatusOverlay();
+}
+
+// "Starts in 12:05" before the scheduled time, "Scheduled for 14:30" after it
+function lobbySchedule(scheduledAt) {
+    if (scheduledAt === undefined || scheduledAt === null) return '';
+    const start = new Date(scheduledAt);
+    if (isNaN(start.getTime())) return '';
+
+    const remaining = start.getTime() - Date.now();
+    if (remaining <= 0) {
+        const time = start.toLocaleTimeString(currentLocale.locale, { hour: '2-digit', minute: '2-digit' });
+        return translate('lobbyScheduledFor', { time });
+    }
+    const totalSeconds = Math.ceil(remaining / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    const time = hours ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+    return translate('lobbyStartsIn', { time });
+}
+
+// --- STATUS OVERLAY ---
+
+// A message card over the meeting container (reconnecting, waiting, ...).
+// It survives the container being cleared by a rejoin.
+let statusOverlayEl = null;
+
+function showStatusOverlay(message, detail = '') {
+    const container = findZoomContainer();
+    if (!container) return;
+
+    if (!statusOverlayEl) {
+        const el = document.createElement('div');
+        el.className = 'zoom-status-overlay';
+        el.style.position = 'absolute';
+        el.style.top = '0';
+        el.style.left = '0';
+        el.style.width = '100%';
+        el.style.height = '100%';
+        el.style.zIndex = '20'; // Above the SDK root and our grid
+        el.style.display = 'flex';
+        el.style.flexDirection = 'column';
+        el.style.alignItems = 'center';
+        el.style.justifyContent = 'center';
+        el.style.gap = '8px';
+        el.style.background = 'rgba(0,0,0,0.75)';
+        el.style.color = 'var(--zoom-brand-text, #fff)';
+        el.style.fontFamily = 'sans-serif';
+        el.style.textAlign = 'center';
+
+        const title = document.createElement('div');
+        title.className = 'zoom-status-message';
+        title.style.fontSize = '18px';
+        const subtitle = document.createElement('div');
+        subtitle.className = 'zoom-status-detail';
+        subtitle.style.fontSize = '14px';
+        subtitle.style.opacity = '0.8';
+
+        el.append(title, subtitle);
+        statusOverlayEl = el;
+    }
+
+    // Whatever shows here now isn't the lobby until showLobby says so
+    lobbyShown = null;
+    statusOverlayEl.querySelector('.zoom-status-message').textContent = message;
+    statusOverlayEl.querySelector('.zoom-status-detail').textContent = detail;
+    if (statusOverlayEl.parentNode !== container) container.appendChild(statusOverlayEl);
+    container.style.display = container.style.display === 'none' ? 'block' : container.style.display;
+    return statusOverlayEl;
+}
+
+function hideStatusOverlay() {
+    lobbyShown = null;
+    if (statusOverlayEl) {
+        statusOverlayEl.remove();
+        statusOverlayEl = null;
+    }
+}
+
+// --- EVENT STREAM ---
+
+// Structured events for the Flutter layer, e.g.
+//   const off = window.zoomService.on('join-failed', (e) => ...);
+// Events: state-change, joining, joined, join-failed ({ code, sdkCode, reason }), connection-change,
+//         user-added, user-removed, active-speaker (grid mode only),
+//         active-share-change ({ active, userId }),
+//         device-check, device-check-error ({ kind, name, message }),
+//         co-host-error ({ code, reason }),
+//         lobby ({ state: 'waiting' | 'admitted', reason: 'not-started' | 'waiting-room' }),
+//         roster-change, media-change, layout-change, reconnecting, reconnected,
+//         reconnect-failed, chat-message, breakout-room-change ({ room, previousRoom }),
+//         recording-state, recording-ready,
+//         left, session-log ({ log, json, csv }),
+//         pending-join ({ meetingNumber, password, userName, error }; see JOIN LINKS)
+const zoomEventListeners = new Map();
+
+function onZoomEvent(event, callback) {
+    if (!zoomEventListeners.has(event)) {
+        zoomEventListeners.set(event, new Set());
+    }
+    zoomEventListeners.get(event).add(callback);
+    // The join link is read before Flutter starts, so late subscribers get it too
+    if (event === 'pending-join' && pendingJoin) {
+        const join = { type: event, timestamp: Date.now(), ...pendingJoin };
+        setTimeout(() => {
+            if (pendingJoin && zoomEventListeners.get(event).has(callback)) callback(join);
+        }, 0);
+    }
+    return () => offZoomEvent(event, callback);
+}
+
+function offZoomEvent(event, callback) {
+    const listeners = zoomEventListeners.get(event);
+    if (listeners) listeners.delete(callback);
+}
+
+function emitZoomEvent(event, payload = {}) {
+    const listeners = zoomEventListeners.get(event);
+    if (!listeners) return;
+    // Copy so a listener can unsubscribe while we iterate
+    for (const callback of [...listeners]) {
+        try {
+            callback({ type: event, timestamp: Date.now(), ...payload });
+        } catch (e) { console.warn(`zoomService "${event}" listener failed`, e); }
+    }
+}
+
+// Re-emit the SDK events Flutter cares about in our own shape
+function forwardClientEvents() {
+    try {
+        trackClientListener('connection-change', (e) => {
+            emitZoomEvent('connection-change', { state: e.state, reason: e.reason });
+        });
+        trackClientListener('user-added', (users) => {
+            emitZoomEvent('user-added', { users: [].concat(users || []) });
+        });
+        trackClientListener('user-removed', (users) => {
+            emitZoomEvent('user-removed', { users: [].concat(users || []) });
+        });
+        trackClientListener('active-share-change', (e) => {
+            emitZoomEvent('active-share-change', { active: e.state === 'Active', userId: e.userId ?? null });
+        });
+        trackClientListener('chat-on-message', (e) => {
+            emitZoomEvent('chat-message', normalizeChatMessage(e));
+        });
+    } catch (e) { console.warn('Could not forward Zoom events', e); }
+}
+
+// --- ERRORS ---
+
+// Codes carried by ZoomServiceError.code (rejections of initZoom and other
+// zoomService calls, and the `code` field of 'join-failed' events)
+const ZOOM_ERROR_CODES = {
+    CONTAINER_NOT_FOUND: 'container-not-found',
+    INVALID_MEETING_NUMBER: 'invalid-meeting-number',
+    INVALID_OPTIONS: 'invalid-options',
+    SIGNATURE_FAILED: 'signature-failed',
+    SIGNATURE_EXPIRED: 'signature-expired',
+    WRONG_PASSWORD: 'wrong-password',
+    SDK_INIT_FAILED: 'sdk-init-failed',
+    JOIN_FAILED: 'join-failed',
+    MEETING_NOT_STARTED: 'meeting-not-started',
+    JOIN_CANCELLED: 'join-cancelled',
+    DEVICE_CHECK_CANCELLED: 'device-check-cancelled',
+    NOT_IN_MEETING: 'not-in-meeting',
+    CHAT_UNAVAILABLE: 'chat-unavailable',
+    CHAT_FAILED: 'chat-failed',
+    CO_HOST_FAILED: 'co-host-failed',
+    MEDIA_UNAVAILABLE: 'media-unavailable',
+    MEDIA_FAILED: 'media-failed',
+    BREAKOUT_UNAVAILABLE: 'breakout-unavailable',
+    BREAKOUT_FAILED: 'breakout-failed',
+    RECORDING_UNAVAILABLE: 'recording-unavailable',
+    RECORDING_FAILED: 'recording-failed'
+};
+
+// Zoom Meeting SDK join error codes we can explain to the user.
+// https://developers.zoom.us/docs/meeting-sdk/web/error-codes/
+const SDK_ERROR_CODE_MAP = {
+    3001: ZOOM_ERROR_CODES.INVALID_MEETING_NUMBER,
+    3004: ZOOM_ERROR_CODES.WRONG_PASSWORD,
+    3008: ZOOM_ERROR_CODES.MEETING_NOT_STARTED,
+    3705: ZOOM_ERROR_CODES.SIGNATURE_EXPIRED,
+    3706: ZOOM_ERROR_CODES.INVALID_MEETING_NUMBER,
+    3707: ZOOM_ERROR_CODES.INVALID_MEETING_NUMBER,
+    3712: ZOOM_ERROR_CODES.SIGNATURE_FAILED
+};
+
+class ZoomServiceError extends Error {
+    constructor(code, message, sdkError = null) {
+        super(message);
+        this.name = 'ZoomServiceError';
+        this.code = code;
+        this.sdkError = sdkError;
+        this.sdkCode = sdkError ? (sdkError.errorCode ?? sdkError.code ?? null) : null;
+    }
+}
+
+function zoomErrorFromSdk(sdkError) {
+    const sdkCode = sdkError ? (sdkError.errorCode ?? sdkError.code) : undefined;
+    const code = SDK_ERROR_CODE_MAP[sdkCode] || ZOOM_ERROR_CODES.JOIN_FAILED;
+    const reason = (sdkError && (sdkError.reason || sdkError.message)) || 'Failed to join the meeting';
+    return new ZoomServiceError(code, reason, sdkError);
+}
+
+// Report a failed join to listeners, then reject initZoom with it
+function failJoin(error) {
+    console.error('Zoom join error:', error);
+    emitZoomEvent('join-failed', {
+        code: error.code,
+        sdkCode: error.sdkCode,
+        reason: error.message,
+        error: error
+    });
+    throw error;
+}
+
+// Meeting numbers arrive as typed by people ("123 4567 8901", "123-456-789").
+// Returns the clean integer, or null when it can't be a Zoom meeting number.
+function normalizeMeetingNumber(value) {
+    const digits = String(value ?? '').replace(/\D/g, '');
+    if (digits.length < 9 || digits.length > 11) return null;
+    return parseInt(digits, 10);
+}
+
+// --- ROLES ---
+
+// sdkRole is the `role` claim of the meeting signature (0 attendee, 1 host).
+// Co-hosts join as attendees and are promoted by the host once inside; the
+// role alone grants nothing.
+const ZOOM_ROLES = {
+    attendee: {
+        sdkRole: 0,
+        requiresZak: false,
+        meetingInfo: ['topic', 'host']
+    },
+    'co-host': {
+        sdkRole: 0,
+        requiresZak: false,
+        meetingInfo: ['topic', 'host', 'mn', 'participant']
+    },
+    host: {
+        sdkRole: 1,
+        requiresZak: true,
+        meetingInfo: ['topic', 'host', 'mn', 'pwd', 'telPwd', 'invite', 'participant', 'dc', 'enctype']
+    }
+};
+
+async function promoteToCoHost(userId) {
+    if (!client) return;
+    if (typeof client.makeCoHost !== 'function') {
+        console.warn('Co-host promotion is not supported by this Zoom SDK build');
+        return;
+    }
+    try {
+        await client.makeCoHost(userId);
+        console.log('Promoted to co-host:', userId);
+    } catch (e) {
+        console.warn('Co-host promotion failed for', userId, e);
+    }
+}
+
+// options.coHosts entries as { userId } or { participantUUID }; names and
+// emails are refused (the attendee list has no email to match against)
+function parseCoHostEntry(entry) {
+    if (typeof entry === 'number') return { userId: entry };
+    if (entry && typeof entry === 'object') {
+        if (entry.userId !== undefined && entry.userId !== null) return { userId: entry.userId };
+        if (entry.participantUUID) return { participantUUID: String(entry.participantUUID) };
+    }
+    console.warn('Ignoring co-host entry without a user id or participantUUID (names and emails are not matched):', entry);
+    return null;
+}
+
+// Co-host promotion never fails the join; listeners get a coded error instead
+function reportCoHostError(error) {
+    const failure = error instanceof ZoomServiceError
+        ? error
+        : new ZoomServiceError(ZOOM_ERROR_CODES.CO_HOST_FAILED, 'Could not watch for co-hosts', error);
+    console.warn('Co-host promotion error:', failure);
+    emitZoomEvent('co-host-error', { code: failure.code, reason: failure.message, error: failure });
+}
+
+// Promote listed participants to co-host as they arrive, matched by user id or
+// participantUUID, never by display name
+function watchForCoHosts(entries) {
+    const wanted = entries.map(parseCoHostEntry).filter(Boolean);
+    const promoteMatching = () => {
+        if (!client) return;
+        for (const p of getMeetingUsers()) {
+            if (p.isHost || p.isCoHost) continue;
+            const index = wanted.findIndex(w =>
+                (w.userId !== undefined && w.userId === p.userId) ||
+                (w.participantUUID && w.participantUUID === p.participantUUID));
+            if (index === -1) continue;
+            wanted.splice(index, 1);
+            promoteToCoHost(p.userId);
+        }
+    };
+
+    promoteMatching();
+    trackClientListener('user-added', promoteMatching);
+}
+
+// --- ROSTER ---
+
+// The SDK doesn't report when someone joined, so we note when we first saw
+// them. People already in the meeting get the time we joined.
+const rosterJoinTimes = new Map();
+
+// Everyone in the meeting as the SDK reports them (getAttendeeslist() on the
+// Component View client). Empty without a client or when the SDK call fails.
+function getMeetingUsers() {
+    if (!client || typeof client.getAttendeeslist !== 'function') return [];
+    try {
+        return client.getAttendeeslist() || [];
+    } catch (e) {
+        console.warn('Could not read the Zoom attendee list', e);
+        return [];
+    }
+}
+
+// A plain snapshot of everyone in the meeting, safe to hand to Flutter
+function getParticipants() {
+    if (!client || zoomState !== ZOOM_STATES.IN_MEETING) return [];
+    let me = null;
+    try { me = client.getCurrentUser(); } catch (e) { }
+    return getMeetingUsers().map(p => describeParticipant(p, me));
+}
+
+function describeParticipant(p, me) {
+    if (!rosterJoinTimes.has(p.userId)) rosterJoinTimes.set(p.userId, Date.now());
+    return {
+        userId: p.userId,
+        // Stable across rejoins, where the SDK provides them (userId is not)
+        participantUUID: p.participantUUID || null,
+        userGuid: p.userGuid || null,
+        name: participantName(p),
+        audioMuted: isAudioMuted(p),
+        // 'computer'/'phone' once audio is connected, null before
+        audio: p.audio || null,
+        videoOn: hasVideo(p),
+        isHost: !!p.isHost,
+        isCoHost: !!p.isCoHost,
+        isSelf: !!(me && me.userId === p.userId),
+        joinedAt: rosterJoinTimes.get(p.userId)
+    };
+}
+
+function startRosterTracking() {
+    const seenAt = Date.now();
+    for (const p of getMeetingUsers()) rosterJoinTimes.set(p.userId, seenAt);
+    trackCleanup(() => rosterJoinTimes.clear());
+
+    const report = (change) => (users) => {
+        const changed = [].concat(users || []);
+        if (change === 'added') {
+            const now = Date.now();
+            for (const p of changed) {
+                if (!rosterJoinTimes.has(p.userId)) rosterJoinTimes.set(p.userId, now);
+            }
+        }
+        const userIds = changed.map(p => p.userId);
+        let participants = getParticipants();
+        if (change === 'removed') {
+            // Some builds still list the user while this event is dispatched
+            participants = participants.filter(p => !userIds.includes(p.userId));
+            for (const userId of userIds) rosterJoinTimes.delete(userId);
+        }
+        emitZoomEvent('roster-change', { change, userIds, participants });
+    };
+
+    try {
+        trackClientListener('user-added', report('added'));
+        trackClientListener('user-removed', report('removed'));
+        trackClientListener('user-updated', report('updated'));
+    } catch (e) { console.warn('Could not track the Zoom roster', e); }
+}
+
+// --- MEDIA CONTROLS ---
+
+// Our own mute/video/device controls, so Flutter can draw them natively and
+// hide the SDK toolbar (theme `hideToolbar`). Every call resolves with the
+// new getMediaState() and emits it as a 'media-change' event.
+
+const MEDIA_DEVICE_KINDS = {
+    microphone: { list: 'getMicList', active: 'getActiveMicrophone', switch: 'switchMicrophone' },
+    camera: { list: 'getCameraList', active: 'getActiveCamera', switch: 'switchCamera' },
+    speaker: { list: 'getSpeakerList', active: 'getActiveSpeaker', switch: 'switchSpeaker' }
+};
+
+function getMediaStreamOrFail() {
+    if (!client || zoomState !== ZOOM_STATES.IN_MEETING) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.NOT_IN_MEETING, 'Media controls are only available in a meeting');
+    }
+    let stream = null;
+    try { stream = client.getMediaStream(); } catch (e) { }
+    if (!stream) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.MEDIA_UNAVAILABLE, 'The Zoom media stream is not available');
+    }
+    return stream;
+}
+
+// Runs stream[method](...args), mapping "not supported" and SDK rejections
+// to ZoomServiceError
+async function callMediaStream(method, ...args) {
+    const stream = getMediaStreamOrFail();
+    if (typeof stream[method] !== 'function') {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.MEDIA_UNAVAILABLE, `${method} is not supported by this Zoom SDK build`);
+    }
+    try {
+        return await stream[method](...args);
+    } catch (e) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.MEDIA_FAILED, (e && (e.reason || e.message)) || `${method} failed`, e);
+    }
+}
+
+async function setAudioMuted(muted) {
+    const state = getMediaState();
+    if (!state.audioConnected) {
+        // Nothing to mute yet; unmuting means joining computer audio first
+        if (muted) return state;
+        await callMediaStream('startAudio');
+    }
+    await callMediaStream(muted ? 'muteAudio' : 'unmuteAudio');
+    return reportMediaState();
+}
+
+async function setVideoEnabled(enabled) {
+    await callMediaStream(enabled ? 'startVideo' : 'stopVideo');
+    return reportMediaState();
+}
+
+// { microphones: [{ deviceId, label }], cameras: [...], speakers: [...] }
+function listMediaDevices() {
+    const stream = getMediaStreamOrFail();
+    const list = (kind) => {
+        const method = MEDIA_DEVICE_KINDS[kind].list;
+        if (typeof stream[method] !== 'function') return [];
+        try {
+            return (stream[method]() || []).map(d => ({ deviceId: d.deviceId, label: d.label || '' }));
+        } catch (e) { return []; }
+    };
+    return { microphones: list('microphone'), cameras: list('camera'), speakers: list('speaker') };
+}
+
+// kind: 'microphone' | 'camera' | 'speaker'
+async function switchMediaDevice(kind, deviceId) {
+    const device = MEDIA_DEVICE_KINDS[kind];
+    if (!device) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.INVALID_OPTIONS, `Unknown device kind "${kind}"`);
+    }
+    if (!deviceId) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.INVALID_OPTIONS, 'A deviceId is required');
+    }
+    await callMediaStream(device.switch, deviceId);
+    return reportMediaState();
+}
+
+// Best effort: { microphone, camera, speaker } ids, missing ones are skipped
+async function switchToDevices(devices) {
+    for (const [kind, deviceId] of Object.entries(devices)) {
+        if (!deviceId) continue;
+        try {
+            await switchMediaDevice(kind, deviceId);
+        } catch (e) { console.warn(`Could not switch the ${kind}`, e); }
+    }
+}
+
+// Snapshot of the local user's media; safe to call at any time
+function getMediaState() {
+    const state = {
+        audioConnected: false,
+        audioMuted: true,
+        videoOn: false,
+        microphone: null,
+        camera: null,
+        speaker: null
+    };
+    if (!client || zoomState !== ZOOM_STATES.IN_MEETING) return state;
+
+    let me = null;
+    try { me = client.getCurrentUser(); } catch (e) { }
+    if (me) {
+        state.audioConnected = !!me.audio;
+        state.audioMuted = isAudioMuted(me) || !me.audio;
+        state.videoOn = me.bVideoOn === true;
+    }
+
+    let stream = null;
+    try { stream = client.getMediaStream(); } catch (e) { }
+    for (const kind of Object.keys(MEDIA_DEVICE_KINDS)) {
+        const method = MEDIA_DEVICE_KINDS[kind].active;
+        if (!stream || typeof stream[method] !== 'function') continue;
+        try { state[kind] = stream[method]() || null; } catch (e) { }
+    }
+    return state;
+}
+
+function reportMediaState() {
+    const state = getMediaState();
+    emitZoomEvent('media-change', state);
+    return state;
+}
+
+// The host can mute us and devices can disappear; keep Flutter in sync
+function startMediaTracking() {
+    try {
+        trackClientListener('user-updated', (users) => {
+            let me = null;
+            try { me = client.getCurrentUser(); } catch (e) { }
+            if (me && [].concat(users || []).some(p => p.userId === me.userId)) {
+                reportMediaState();
+            }
+        });
+        trackClientListener('device-change', reportMediaState);
+    } catch (e) { console.warn('Could not track Zoom media state', e); }
+}
+
+// --- DEVICE CHECK ---
+
+// Pre-join check over the meeting container: camera preview, mic level meter,
+// speaker test tone and device pickers. Resolves with the chosen
+// { microphone, camera, speaker } ids; Cancel (or leaveZoom) rejects.
+// Permission problems are shown inline and emitted as 'device-check-error'.
+
+// Set while the check is on screen; cancel() rejects the pending join
+let activeDeviceCheck = null;
+
+const DEVICE_CHECK_KINDS = {
+    microphone: { constraint: 'audio', deviceKind: 'audioinput' },
+    camera: { constraint: 'video', deviceKind: 'videoinput' }
+};
+
+function runDeviceCheck(container) {
+    if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+        console.warn('getUserMedia is not available, skipping the device check');
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+        const chosen = { microphone: null, camera: null, speaker: null };
+        const ui = createDeviceCheckPanel(container);
+        let stream = null;
+        let meter = null;
+        // One context for the whole check: browsers cap how many a page may open
+        let audioContext = null;
+        let finished = false;
+
+        const stopPreview = () => {
+            if (meter) meter.stop();
+            meter = null;
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            stream = null;
+            ui.video.srcObject = null;
+        };
+
+        const finish = (devices, error) => {
+            if (finished) return;
+            finished = true;
+            activeDeviceCheck = null;
+            stopPreview();
+            if (audioContext) audioContext.close().catch(() => { });
+            audioContext = null;
+            ui.panel.remove();
+            emitZoomEvent('device-check', { status: error ? 'cancelled' : 'completed', devices: devices });
+            if (error) reject(error);
+            else resolve(devices);
+        };
+
+        const cancel = () => finish(null, new ZoomServiceError(ZOOM_ERROR_CODES.DEVICE_CHECK_CANCELLED, 'Device check was cancelled'));
+        activeDeviceCheck = { cancel };
+
+        const startPreview = async () => {
+            stopPreview();
+            ui.errors.textContent = '';
+            const result = await openDeviceStreams(chosen);
+            if (finished) {
+                result.tracks.forEach(track => track.stop());
+                return;
+            }
+            stream = new MediaStream(result.tracks);
+            ui.video.srcObject = stream;
+            if (stream.getAudioTracks().length) {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                if (AudioContextClass && !audioContext) audioContext = new AudioContextClass();
+                if (audioContext) meter = startLevelMeter(audioContext, stream, ui.level);
+            }
+
+            // Track the ids the browser actually picked, so "default" becomes concrete
+            for (const track of result.tracks) {
+                const kind = track.kind === 'audio' ? 'microphone' : 'camera';
+                const settings = typeof track.getSettings === 'function' ? track.getSettings() : {};
+                if (settings.deviceId) chosen[kind] = settings.deviceId;
+            }
+
+            for (const failure of result.failures) {
+                const line = document.createElement('div');
+                line.textContent = failure.message;
+                ui.errors.appendChild(line);
+                emitZoomEvent('device-check-error', failure);
+            }
+            await fillDevicePickers(ui, chosen);
+        };
+
+        // The device may be gone or blocked by the time it's picked
+        const preview = () => startPreview().catch((e) => console.warn('Device check preview failed', e));
+
+        ui.pickers.microphone.addEventListener('change', () => { chosen.microphone = ui.pickers.microphone.value || null; preview(); });
+        ui.pickers.camera.addEventListener('change', () => { chosen.camera = ui.pickers.camera.value || null; preview(); });
+        ui.pickers.speaker.addEventListener('change', () => { chosen.speaker = ui.pickers.speaker.value || null; });
+        ui.testButton.addEventListener('click', () => playTestTone(chosen.speaker));
+        ui.joinButton.addEventListener('click', () => finish({ ...chosen }, null));
+        ui.cancelButton.addEventListener('click', cancel);
+
+        emitZoomEvent('device-check', { status: 'started' });
+        preview();
+    });
+}
+
+function cancelDeviceCheck() {
+    if (activeDeviceCheck) activeDeviceCheck.cancel();
+}
+
+// Asks for both devices at once (one permission prompt); if that fails, asks
+// for each separately so one blocked device doesn't hide the other
+async function openDeviceStreams(chosen) {
+    const constraintFor = (kind) => (chosen[kind] ? { deviceId: { exact: chosen[kind] } } : true);
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: constraintFor('microphone'),
+            video: constraintFor('camera')
+        });
+        return { tracks: stream.getTracks(), failures: [] };
+    } catch (e) { }
+
+    const tracks = [];
+    const failures = [];
+    for (const [kind, config] of Object.entries(DEVICE_CHECK_KINDS)) {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ [config.constraint]: constraintFor(kind) });
+            tracks.push(...stream.getTracks());
+        } catch (e) {
+            failures.push(describeDeviceError(kind, e));
+        }
+    }
+    return { tracks, failures };
+}
+
+function describeDeviceError(kind, error) {
+    const name = (error && error.name) || 'Error';
+    const device = translate(kind);
+    let key = 'deviceFailed';
+    if (name === 'NotAllowedError' || name === 'SecurityError') key = 'permissionDenied';
+    else if (name === 'NotFoundError' || name === 'OverconstrainedError') key = 'deviceNotFound';
+    else if (name === 'NotReadableError' || name === 'AbortError') key = 'deviceBusy';
+    return { kind, name, message: translate(key, { device }) };
+}
+
+// Labels are only filled in once the page has a permission, so this runs
+// after every preview attempt
+async function fillDevicePickers(ui, chosen) {
+    let devices = [];
+    try { devices = await navigator.mediaDevices.enumerateDevices(); } catch (e) { }
+
+    const fill = (select, deviceKind, selected, label) => {
+        select.innerHTML = '';
+        const matching = devices.filter(d => d.kind === deviceKind && d.deviceId);
+        matching.forEach((d, i) => {
+            const option = document.createElement('option');
+            option.value = d.deviceId;
+            option.textContent = d.label || `${label} ${i + 1}`;
+            option.selected = d.deviceId === selected;
+            select.appendChild(option);
+        });
+        select.disabled = matching.length === 0;
+    };
+
+    fill(ui.pickers.microphone, 'audioinput', chosen.microphone, translate('microphone'));
+    fill(ui.pickers.camera, 'videoinput', chosen.camera, translate('camera'));
+    fill(ui.pickers.speaker, 'audiooutput', chosen.speaker, translate('speaker'));
+    // Output selection needs setSinkId (not in Firefox/Safari)
+    if (!('setSinkId' in HTMLMediaElement.prototype)) ui.pickers.speaker.disabled = true;
+}
+
+// Drives the width of `bar` from the microphone level until stop() is called
+// `context` belongs to the caller and outlives the meter
+function startLevelMeter(context, stream, bar) {
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+    const source = context.createMediaStreamSource(stream);
+    source.connect(analyser);
+    const samples = new Uint8Array(analyser.fftSize);
+    let frame = null;
+
+    const tick = () => {
+        analyser.getByteTimeDomainData(samples);
+        let sum = 0;
+        for (const sample of samples) {
+            const v = (sample - 128) / 128;
+            sum += v * v;
+        }
+        // RMS of speech sits well below 0.5; scale so talking fills the bar
+        const level = Math.min(1, Math.sqrt(sum / samples.length) * 4);
+        bar.style.width = `${Math.round(level * 100)}%`;
+        frame = requestAnimationFrame(tick);
+    };
+    tick();
+
+    return {
+        stop() {
+            cancelAnimationFrame(frame);
+            bar.style.width = '0%';
+            source.disconnect();
+        }
+    };
+}
+
+// One second of 440 Hz through the chosen output
+async function playTestTone(speakerId) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    const context = new AudioContextClass();
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const destination = context.createMediaStreamDestination();
+    oscillator.frequency.value = 440;
+    gain.gain.value = 0.2;
+    oscillator.connect(gain).connect(destination);
+
+    const audio = new Audio();
+    audio.srcObject = destination.stream;
+    try {
+        if (speakerId && typeof audio.setSinkId === 'function') await audio.setSinkId(speakerId);
+        await audio.play();
+        oscillator.start();
+        oscillator.stop(context.currentTime + 1);
+        oscillator.onended = () => {
+            audio.srcObject = null;
+            context.close().catch(() => { });
+        };
+    } catch (e) {
+        console.warn('Could not play the test tone', e);
+        context.close().catch(() => { });
+    }
+}
+
+function createDeviceCheckPanel(container) {
+    const panel = document.createElement('div');
+    panel.className = 'zoom-device-check';
+    panel.style.position = 'absolute';
+    panel.style.top = '0';
+    panel.style.left = '0';
+    panel.style.width = '100%';
+    panel.style.height = '100%';
+    panel.style.zIndex = '30'; // Above the status overlay
+    panel.style.display = 'flex';
+    panel.style.flexDirection = 'column';
+    panel.style.alignItems = 'center';
+    panel.style.justifyContent = 'center';
+    panel.style.gap = '10px';
+    panel.style.background = 'var(--zoom-brand-background, #000)';
+    panel.style.color = 'var(--zoom-brand-text, #fff)';
+    panel.style.fontFamily = 'sans-serif';
+    panel.style.fontSize = '14px';
+
+    const title = document.createElement('div');
+    title.textContent = translate('deviceCheckTitle');
+    title.style.fontSize = '18px';
+
+    const video = document.createElement('video');
+    video.autoplay = true;
+    video.muted = true;
+    video.playsInline = true;
+    video.style.width = 'min(480px, 90%)';
+    video.style.aspectRatio = '16 / 9';
+    video.style.background = 'var(--zoom-brand-surface, #222)';
+    video.style.transform = 'scaleX(-1)'; // Mirror like the SDK self view
+
+    const meter = document.createElement('div');
+    meter.style.width = 'min(480px, 90%)';
+    meter.style.height = '6px';
+    meter.style.background = 'var(--zoom-brand-surface, #222)';
+    const level = document.createElement('div');
+    level.className = 'zoom-device-check-level';
+    level.style.height = '100%';
+    level.style.width = '0%';
+    level.style.background = 'var(--zoom-brand-primary, #0175C2)';
+    meter.appendChild(level);
+
+    const pickers = {};
+    const rows = document.createElement('div');
+    rows.style.display = 'grid';
+    rows.style.gridTemplateColumns = 'auto 1fr';
+    rows.style.gap = '6px 10px';
+    rows.style.width = 'min(480px, 90%)';
+    for (const kind of ['microphone', 'camera', 'speaker']) {
+        const label = document.createElement('label');
+        label.textContent = translate(kind);
+        const select = document.createElement('select');
+        select.className = `zoom-device-check-${kind}`;
+        select.disabled = true;
+        pickers[kind] = select;
+        rows.append(label, select);
+    }
+
+    const errors = document.createElement('div');
+    errors.className = 'zoom-device-check-errors';
+    errors.style.color = 'var(--zoom-brand-danger, #E53935)';
+    errors.style.maxWidth = 'min(480px, 90%)';
+
+    const button = (text, primary) => {
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.textContent = text;
+        el.style.padding = '8px 16px';
+        el.style.border = 'none';
+        el.style.borderRadius = '4px';
+        el.style.cursor = 'pointer';
+        el.style.color = 'var(--zoom-brand-text, #fff)';
+        el.style.background = primary ? 'var(--zoom-brand-primary, #0175C2)' : 'var(--zoom-brand-surface, #222)';
+        return el;
+    };
+    const testButton = button(translate('testSpeaker'), false);
+    const cancelButton = button(translate('cancel'), false);
+    const joinButton = button(translate('joinMeeting'), true);
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.gap = '8px';
+    actions.append(testButton, cancelButton, joinButton);
+
+    panel.append(title, video, meter, rows, errors, actions);
+    container.appendChild(panel);
+    return { panel, video, level, pickers, errors, testButton, cancelButton, joinButton };
+}
+
+// --- SESSION LOG ---
+
+// Attendance and timeline of one session, for billing and the client record.
+// Built from our own events, so it spans reconnects; handed to Flutter as a
+// 'session-log' event when the session ends (alongside 'left').
+//
+// Zoom gives people new user ids when they (or we) rejoin, so attendance is
+// summed per attendee id: the participantUUID, else the userGuid, else the
+// user id. Names are only shown, two people may well share one.
+let sessionLog = null;
+// userId -> { attendeeId, name, audioMuted, joinedAs } for everyone currently
+// in the meeting; joinedAs is the id their join was logged with
+let sessionLogPresence = new Map();
+
+function attendeeId(p) {
+    return String(p.participantUUID || p.userGuid || p.userId);
+}
+
+function logEntry(type, fields = {}) {
+    if (!sessionLog || sessionLog.endedAt !== null) return;
+    sessionLog.entries.push({ at: Date.now(), type, ...fields });
+}
+
+function startSessionLog(e) {
+    sessionLog = {
+        meetingNumber: e.meetingNumber,
+        userName: e.userName,
+        role: e.role,
+        startedAt: e.timestamp,
+        endedAt: null,
+        endReason: null,
+        entries: []
+    };
+    sessionLogPresence = new Map();
+    logEntry('meeting-start');
+    syncPresence(getParticipants());
+}
+
+// Logs joins/leaves/mute toggles between the last snapshot and `participants`.
+// After a rejoin, someone with the same attendee id under a new user id is the
+// same person.
+function syncPresence(participants) {
+    const current = new Map(participants.map(p => [p.userId, p]));
+    const missing = [...sessionLogPresence.entries()].filter(([userId]) => !current.has(userId));
+
+    for (const p of participants) {
+        const known = sessionLogPresence.get(p.userId);
+        if (known) {
+            if (known.audioMuted !== p.audioMuted) {
+                logEntry(p.audioMuted ? 'audio-muted' : 'audio-unmuted', { userId: p.userId, name: p.name });
+            }
+            known.audioMuted = p.audioMuted;
+            continue;
+        }
+        const id = attendeeId(p);
+        let joinedAs = p.userId;
+        const rejoined = missing.findIndex(([, old]) => old.attendeeId === id);
+        if (rejoined !== -1) {
+            joinedAs = missing.splice(rejoined, 1)[0][1].joinedAs;
+        } else {
+            logEntry('participant-join', { userId: p.userId, attendeeId: id, name: p.name, isSelf: p.isSelf });
+        }
+        sessionLogPresence.set(p.userId, { attendeeId: id, name: p.name, audioMuted: p.audioMuted, joinedAs });
+    }
+
+    for (const [, old] of missing) {
+        logEntry('participant-leave', { userId: old.joinedAs, attendeeId: old.attendeeId, name: old.name });
+    }
+    for (const userId of [...sessionLogPresence.keys()]) {
+        if (!current.has(userId)) sessionLogPresence.delete(userId);
+    }
+}
+
+function finishSessionLog(e) {
+    if (!sessionLog) return;
+    // Everyone still listed leaves with us
+    for (const p of sessionLogPresence.values()) {
+        logEntry('participant-leave', { userId: p.joinedAs, attendeeId: p.attendeeId, name: p.name });
+    }
+    sessionLogPresence = new Map();
+    logEntry('meeting-end', { reason: e.reason });
+    sessionLog.endedAt = e.timestamp;
+    sessionLog.endReason = e.reason;
+
+    const log = getSessionLog();
+    emitZoomEvent('session-log', {
+        log: log,
+        json: exportSessionLog('json'),
+        csv: exportSessionLog('csv')
+    });
+}
+
+// Per attendee id: first join, last leave and total time in the meeting. The
+// name is the one they last joined under.
+function summarizeAttendance(log) {
+    const people = new Map();
+    const open = new Map();
+    const end = log.endedAt || Date.now();
+
+    for (const entry of log.entries) {
+        if (entry.type !== 'participant-join' && entry.type !== 'participant-leave') continue;
+        const id = entry.attendeeId ?? String(entry.userId);
+        if (!people.has(id)) {
+            people.set(id, { attendeeId: id, name: entry.name, firstJoinedAt: entry.at, lastLeftAt: null, durationMs: 0, joins: 0 });
+        }
+        const person = people.get(id);
+        if (entry.type === 'participant-join') {
+            person.name = entry.name;
+            person.joins++;
+            open.set(entry.userId, entry.at);
+        } else if (open.has(entry.userId)) {
+            person.durationMs += entry.at - open.get(entry.userId);
+            person.lastLeftAt = entry.at;
+            open.delete(entry.userId);
+        }
+    }
+    // Still present (log exported mid-session)
+    for (const [userId, joinedAt] of open) {
+        const entry = log.entries.find(en => en.userId === userId && en.type === 'participant-join');
+        if (entry) people.get(entry.attendeeId ?? String(entry.userId)).durationMs += end - joinedAt;
+    }
+    return [...people.values()];
+}
+
+// The current session's log, or the last finished one
+function getSessionLog() {
+    if (!sessionLog) return null;
+    const log = { ...sessionLog, entries: sessionLog.entries.map(entry => ({ ...entry })) };
+    log.attendance = summarizeAttendance(log);
+    return log;
+}
+
+// format: 'json' (whole log), 'csv' (timeline) or 'attendance-csv'
+function exportSessionLog(format = 'json') {
+    const log = getSessionLog();
+    if (!log) return null;
+
+    const iso = (ms) => (ms ? new Date(ms).toISOString() : '');
+    if (format === 'json') return JSON.stringify(log, null, 2);
+    if (format === 'csv') {
+        return toCsv(['time', 'event', 'userId', 'name', 'detail'], log.entries.map(entry => [
+            iso(entry.at), entry.type, entry.userId ?? '', entry.name ?? '',
+            entry.reason ?? entry.room ?? entry.attempt ?? entry.code ?? ''
+        ]));
+    }
+    if (format === 'attendance-csv') {
+        return toCsv(['attendeeId', 'name', 'firstJoinedAt', 'lastLeftAt', 'minutes', 'joins'], log.attendance.map(p => [
+            p.attendeeId, p.name, iso(p.firstJoinedAt), iso(p.lastLeftAt), (p.durationMs / 60000).toFixed(1), p.joins
+        ]));
+    }
+    throw new ZoomServiceError(ZOOM_ERROR_CODES.INVALID_OPTIONS, `Unknown session log format "${format}"`);
+}
+
+function toCsv(header, rows) {
+    const cell = (value) => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [header, ...rows].map(row => row.map(cell).join(',')).join('\r\n');
+}
+
+onZoomEvent('joined', (e) => {
+    // A rejoin after a drop continues the open log
+    if (sessionLog && sessionLog.endedAt === null) {
+        syncPresence(getParticipants());
+        return;
+    }
+    startSessionLog(e);
+});
+// In a breakout room the SDK only lists that room, so attendance follows the
+// main session and resyncs when we come back
+onZoomEvent('roster-change', (e) => {
+    if (sessionLog && sessionLog.endedAt === null && !currentBreakoutRoom) syncPresence(e.participants);
+});
+onZoomEvent('breakout-room-change', (e) => {
+    if (e.room) {
+        logEntry('breakout-room', { roomId: e.room.roomId, room: e.room.name });
+    } else {
+        logEntry('main-session');
+        syncPresence(getParticipants());
+    }
+});
+onZoomEvent('reconnecting', (e) => logEntry('reconnecting', { attempt: e.attempt }));
+onZoomEvent('reconnected', (e) => logEntry('reconnected', { attempt: e.attempts }));
+onZoomEvent('reconnect-failed', (e) => logEntry('reconnect-failed', { code: e.code, reason: e.reason }));
+onZoomEvent('left', finishSessionLog);
+
+// --- CHAT ---
+
+// Lets Flutter show chat in its own panel instead of the SDK popup.
+// Incoming messages arrive as 'chat-message' events (see normalizeChatMessage).
+
+// Chat goes through the client itself (client.sendChat); the Component View
+// has no separate chat client
+function requireChat() {
+    if (!client || zoomState !== ZOOM_STATES.IN_MEETING) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.NOT_IN_MEETING, 'Chat is only available in a meeting');
+    }
+    if (typeof client.sendChat !== 'function') {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.CHAT_UNAVAILABLE, 'Chat is not supported by this Zoom SDK build');
+    }
+}
+
+// Sends to everyone, or privately when `userId` is given.
+// Resolves with the sent message in the same shape as 'chat-message' events.
+async function sendChatMessage(text, userId = null) {
+    const message = String(text ?? '').trim();
+    if (!message) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.INVALID_OPTIONS, 'Chat message is empty');
+    }
+    requireChat();
+
+    let sent;
+    try {
+        if (userId === null || userId === undefined) {
+            sent = await client.sendChat(message);
+        } else {
+            sent = await client.sendChat(message, userId);
+        }
+    } catch (e) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.CHAT_FAILED, (e && (e.reason || e.message)) || 'Failed to send chat message', e);
+    }
+
+    // Not every build resolves with the message; describe what we sent ourselves
+    if (!sent || typeof sent !== 'object' || sent.message === undefined) {
+        const me = client.getCurrentUser() || {};
+        sent = {
+            message,
+            sender: { userId: me.userId, name: me.displayName || me.userName },
+            receiver: { userId: userId ?? 0 },
+            timestamp: Date.now()
+        };
+    }
+    return normalizeChatMessage(sent);
+}
+
+// Everyone the current user may message privately: the others in the meeting
+// who aren't held in the waiting room. Whether the meeting's chat settings
+// allow it is up to the SDK, which rejects the send otherwise.
+function getChatReceivers() {
+    requireChat();
+    let me = null;
+    try { me = client.getCurrentUser(); } catch (e) { }
+    return getMeetingUsers()
+        .filter(p => p.userId && !p.isHold && !(me && me.userId === p.userId))
+        .map(p => ({ userId: p.userId, name: participantName(p) }));
+}
+
+// The SDK payload differs slightly between builds; Flutter gets one shape.
+// A receiver userId of 0 means "everyone".
+function normalizeChatMessage(e) {
+    const sender = (e && e.sender) || {};
+    const receiver = (e && e.receiver) || {};
+    const receiverId = receiver.userId ?? 0;
+    return {
+        id: e && (e.id || e.messageId || null),
+        text: String((e && (e.message ?? e.text)) || ''),
+        sender: { userId: sender.userId ?? null, name: sender.name || sender.displayName || '' },
+        receiver: { userId: receiverId, name: receiver.name || receiver.displayName || '' },
+        isPrivate: !!receiverId,
+        sentAt: (e && e.timestamp) || Date.now()
+    };
+}
+
+// --- BREAKOUT ROOMS ---
+
+// Group formats split people into breakout rooms: the client lists and joins
+// them (getBreakoutRoomList, joinBreakoutRoom, leaveBreakoutRoom,
+// getCurrentBreakoutRoom) and reports rooms opening or closing with
+// 'room-state-change'. A move (ours or the host's) shows up as a
+// connection-change 'Reconnecting' with one of ROOM_MOVE_REASONS followed by
+// 'Connected' in the new room. The lifecycle sits in MOVING_ROOM in between, so
+// the reconnect logic leaves it alone.
+// Rooms are reported as { roomId, name, participants: [{ userId, name }] }.
+
+const ROOM_MOVE_REASONS = new Set(['join breakout room', 'move to breakout room', 'back to main session']);
+// If the SDK never confirms a move, trust it after this long
+const ROOM_MOVE_TIMEOUT_MS = 15000;
+
+// The room we're in, null in the main session
+let currentBreakoutRoom = null;
+// { timer, done, resolve, reconnecting } while in MOVING_ROOM
+let roomMove = null;
+
+function hasBreakoutRooms() {
+    return !!client && typeof client.getBreakoutRoomList === 'function' && typeof client.joinBreakoutRoom === 'function';
+}
+
+function requireBreakoutRooms() {
+    if (!client || zoomState !== ZOOM_STATES.IN_MEETING) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.NOT_IN_MEETING, 'Breakout rooms are only available in a meeting');
+    }
+    if (!hasBreakoutRooms()) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.BREAKOUT_UNAVAILABLE, 'Breakout rooms are not supported by this Zoom SDK build');
+    }
+}
+
+function normalizeBreakoutRoom(room) {
+    const roomId = room && (room.boId ?? room.roomId);
+    if (roomId === undefined || roomId === null || roomId === '') return null;
+    return {
+        roomId: roomId,
+        name: room.name || '',
+        participants: (room.attendeeList || room.participants || []).map(p => ({ userId: p.userId ?? null, name: participantName(p) }))
+    };
+}
+
+function getBreakoutRooms() {
+    if (!client || zoomState !== ZOOM_STATES.IN_MEETING || !hasBreakoutRooms()) return [];
+    try {
+        return (client.getBreakoutRoomList() || []).map(normalizeBreakoutRoom).filter(Boolean);
+    } catch (e) { return []; }
+}
+
+function getCurrentBreakoutRoom() {
+    return currentBreakoutRoom ? { ...currentBreakoutRoom } : null;
+}
+
+async function joinBreakoutRoom(roomId) {
+    requireBreakoutRooms();
+    await moveBreakout(() => client.joinBreakoutRoom(roomId), 'Could not join the breakout room');
+    return getCurrentBreakoutRoom();
+}
+
+// Back to the main session
+async function leaveBreakoutRoom() {
+    requireBreakoutRooms();
+    if (!currentBreakoutRoom) return null;
+    await moveBreakout(() => client.leaveBreakoutRoom(), 'Could not return to the main session');
+    return getCurrentBreakoutRoom();
+}
+
+// Resolves once the SDK has us in the new room
+async function moveBreakout(move, failure) {
+    const { done } = beginRoomMove();
+    try {
+        await move();
+    } catch (e) {
+        finishRoomMove();
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.BREAKOUT_FAILED, (e && (e.reason || e.message)) || failure, e);
+    }
+    await done;
+}
+
+function beginRoomMove() {
+    if (roomMove) return roomMove;
+    let resolve;
+    const done = new Promise(r => { resolve = r; });
+    roomMove = { done, resolve, reconnecting: false, timer: setTimeout(finishRoomMove, ROOM_MOVE_TIMEOUT_MS) };
+    setZoomState(ZOOM_STATES.MOVING_ROOM);
+    return roomMove;
+}
+
+function finishRoomMove() {
+    if (!roomMove) return;
+    const move = roomMove;
+    roomMove = null;
+    clearTimeout(move.timer);
+    if (zoomState === ZOOM_STATES.MOVING_ROOM) {
+        setZoomState(ZOOM_STATES.IN_MEETING);
+        refreshBreakoutRoom();
+    }
+    move.resolve();
+}
+
+// Compares the SDK's idea of our room with the last one we reported; on a
+// change the grid starts over with the new room's participants
+function refreshBreakoutRoom() {
+    let room = null;
+    try {
+        if (client && typeof client.getCurrentBreakoutRoom === 'function') room = normalizeBreakoutRoom(client.getCurrentBreakoutRoom());
+    } catch (e) { }
+
+    const previousRoom = currentBreakoutRoom;
+    if ((room && room.roomId) === (previousRoom && previousRoom.roomId)) {
+        currentBreakoutRoom = room;
+        return;
+    }
+    currentBreakoutRoom = room;
+    console.log(room ? `Moved to breakout room "${room.name}"` : 'Back in the main session');
+
+    if (isGridMode) {
+        // User ids differ between rooms; old tiles and pins mean nothing here
+        stopGridRendering();
+        gridPage = 0;
+        activeSpeakerId = null;
+        pinnedUserId = null;
+        scheduleGridUpdate();
+    }
+    emitZoomEvent('breakout-room-change', { room: getCurrentBreakoutRoom(), previousRoom: previousRoom });
+}
+
+function startBreakoutTracking() {
+    trackCleanup(() => {
+        currentBreakoutRoom = null;
+        // A move cut short by leaving: release whoever waits for it
+        if (roomMove) {
+            clearTimeout(roomMove.timer);
+            roomMove.resolve();
+            roomMove = null;
+        }
+    });
+    refreshBreakoutRoom();
+
+    try {
+        // Rooms opened or closed by the host
+        trackClientListener('room-state-change', refreshBreakoutRoom);
+    } catch (e) { console.warn('Could not track Zoom breakout rooms', e); }
+}
+
+// --- SIGNATURE PROVIDERS ---
+
+// Resolves with { signature, sdkKey }; sdkKey is the key the signature was
+// made for (as the signing server reports it, or from the JWT), null if unknown
+async function resolveSignature(auth, params) {
+    if (typeof auth === 'string') {
+        if (isJwt(auth)) return checkSignature(auth);
+        throw new Error('A raw SDK secret is no longer accepted; pass a signature, a signature provider or { sdkSecret, devSigning: true }');
+    }
+
+    if (typeof auth === 'function') {
+        return checkSignature(await auth(params));
+    }
+
+    if (auth && typeof auth === 'object') {
+        if (auth.signature) return checkSignature(auth.signature);
+        if (typeof auth.signatureProvider === 'function') {
+            return checkSignature(await auth.signatureProvider(params));
+        }
+        if (auth.signatureEndpoint) {
+            return checkSignature(await createSignatureProvider(auth.signatureEndpoint, auth)(params));
+        }
+        if (auth.sdkSecret && auth.devSigning === true) {
+            return checkSignature(generateDevSignature(params.sdkKey, auth.sdkSecret, params.meetingNumber, params.role));
+        }
+    }
+
+    throw new Error('No meeting signature or signature provider was supplied');
+}
+
+function isJwt(value) {
+    return typeof value === 'string' && value.trim().split('.').length === 3;
+}
+
+// Providers return the JWT or { signature, sdkKey }
+function checkSignature(result) {
+    const signature = result && typeof result === 'object' ? result.signature : result;
+    if (!isJwt(signature)) {
+        throw new Error('Signature provider returned an invalid signature');
+    }
+    const reportedKey = result && typeof result === 'object' && result.sdkKey ? String(result.sdkKey).trim() : null;
+    return { signature: signature.trim(), sdkKey: reportedKey || signatureSdkKey(signature) };
+}
+
+// The sdkKey (or older appKey) claim of a signature, null if it can't be read
+function signatureSdkKey(signature) {
+    try {
+        const payload = signature.trim().split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const claims = JSON.parse(atob(payload + '='.repeat((4 - payload.length % 4) % 4)));
+        return claims.sdkKey || claims.appKey || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// The SDK only accepts the key the signature was made for
+function resolveSdkKey(configuredKey, signedKey) {
+    if (!signedKey) return configuredKey;
+    if (configuredKey && configuredKey !== signedKey) {
+        console.warn(`Zoom SDK key "${configuredKey}" does not match the key the signature was made for ("${signedKey}"); joining with the signature's key`);
+    }
+    return signedKey;
+}
+
+// Builds a provider that asks a signing endpoint for the signature.
+// The endpoint contract follows Zoom's auth endpoint sample plus the key
+// (see tools/zoom_signature_server.js):
+// POST { meetingNumber, role } -> { signature, sdkKey }
+function createSignatureProvider(endpoint, options = {}) {
+    return async (params) => {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+            credentials: options.credentials || 'same-origin',
+            body: JSON.stringify({
+                meetingNumber: params.meetingNumber,
+                role: params.role,
+                expirationSeconds: options.expirationSeconds
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Signature endpoint responded with ${response.status}`);
+        }
+
+        const body = await response.json();
+        return { signature: body.signature, sdkKey: body.sdkKey };
+    };
+}
+
+// DEV ONLY: signs the JWT in the browser with CryptoJS.
+// Spec: https://developers.zoom.us/docs/meeting-sdk/auth/#generate-a-signature
+function generateDevSignature(sdkKey, sdkSecret, meetingNumber, role) {
+    console.warn('Zoom signature is generated in the browser. Never use devSigning in production.');
+
+    const iat = Math.round(new Date().getTime() / 1000) - 30;
+    const exp = iat + 60 * 60 * 2;
+
+    const oHeader = { alg: 'HS256', typ: 'JWT' };
+    const oPayload = {
+        sdkKey: sdkKey,
+        mn: meetingNumber,
+        role: role,
+        iat: iat,
+        exp: exp,
+        appKey: sdkKey,
+        tokenExp: exp
+    };
+
+    // Helper to base64url encode
+    const base64UrlEncode = (str) => {
+        const encoded = CryptoJS.enc.Base64.stringify(CryptoJS.enc.Utf8.parse(str));
+        return encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    const base64UrlHeader = base64UrlEncode(JSON.stringify(oHeader));
+    const base64UrlPayload = base64UrlEncode(JSON.stringify(oPayload));
+
+    const signature = CryptoJS.HmacSHA256(base64UrlHeader + "." + base64UrlPayload, sdkSecret.trim());
+    const base64UrlSignature = CryptoJS.enc.Base64.stringify(signature)
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+    return base64UrlHeader + "." + base64UrlPayload + "." + base64UrlSignature;
+}
+
+function findZoomContainer() {
+    // Try global match first
+    let element = document.getElementById('zoom-meeting-container');
+    if (element) return element;
+
+    // Search in Flutter Platform Views (Shadow DOM)
+    const platformViews = document.querySelectorAll('flt-platform-view');
+    for (let view of platformViews) {
+        if (view.shadowRoot) {
+            element = view.shadowRoot.getElementById('zoom-meeting-container');
+            if (element) return element;
+        }
+    }
+    return null;
+}
+
+// Serialized with initZoom, so a leave never interleaves with a join.
+// Also stops a pending automatic reconnect, an open device check or a lobby wait.
+function leaveZoom() {
+    cancelReconnect();
+    cancelDeviceCheck();
+    cancelLobby();
+    return serializeLifecycle(() => endSession('leave'));
+}
+
+// Tears down whatever session exists (safe to call when idle). `reason` is
+// reported in the 'left' event when we were in a meeting. Reconnects pass
+// `finalState: reconnecting` to drop the SDK session without ending ours.
+async function endSession(reason = 'leave', { finalState = ZOOM_STATES.IDLE } = {}) {
+    console.log('Attempting to leave Zoom...');
+
+    const wasInMeeting = isInSession() || zoomState === ZOOM_STATES.RECONNECTING;
+    const hadSession = zoomState !== ZOOM_STATES.IDLE;
+    // Switching state first also stops the SDK's own 'Closed' event from
+    // starting a second teardown
+    if (hadSession && finalState === ZOOM_STATES.IDLE) setZoomState(ZOOM_STATES.LEAVING);
+    else if (hadSession) setZoomState(finalState);
+
+    // Attempt SDK leave, but don't let it block cleanup
+    try {
+        if (client) {
+            console.log('Client object keys:', Object.keys(client));
+            if (typeof client.leave === 'function') {
+                // Give it 2 seconds to leave gracefully
+                const leavePromise = client.leave();
+                const timeoutPromise = new Promise(resolve => setTimeout(resolve, 2000));
+                await Promise.race([leavePromise, timeoutPromise]);
+                console.log('Client leave completed (or timed out)');
+            } else {
+                console.warn('client.leave is not a function', client);
+            }
+        }
+    } catch (error) {
+        console.warn('Zoom SDK leave warning (ignoring):', error);
+    }
+
+    // Listeners, timers, styles and grid canvases, released while the client
+    // can still stop its renders
+    releaseSessionResources();
+
+    // Try to destroy the client instance if method exists (cleaner teardown)
+    try {
+        if (typeof ZoomMtgEmbedded !== 'undefined' && typeof ZoomMtgEmbedded.destroyClient === 'function') {
+            ZoomMtgEmbedded.destroyClient();
+            client = null; // Important: reset global variable
+            console.log('Destroyed Zoom Client');
+        }
+    } catch (e) { console.warn('Destroy client failed', e); }
+
+    // FORCE CLEANUP: This is the nuclear option to stop audio.
+    const meetingElement = findZoomContainer();
+    if (meetingElement) {
+        // DO NOT use remove() as it breaks Flutter's Platform View Registry
+        meetingElement.innerHTML = '';
+        meetingElement.style.display = 'none';
+
+        // Reload to force-kill audio? User requested "exit". 
+        // window.location.reload(); // Too aggressive for SPA.
+    }
+
+    // Re-finding to clear innerHTML specifically
+    const container = document.getElementById('zoom-meeting-container');
+    // Note: findZoomContainer handles ShadowDOM, but for 'remove' operations we want to be careful.
+
+    // BETTER APPROACH: Reload the page is the only 100% way if SDK is buggy.
+    // But we want to avoid that.
+
+    // Let's try to clear the DOM content aggressively.
+    const aggressiveCleanup = findZoomContainer();
+    if (aggressiveCleanup) {
+        aggressiveCleanup.innerHTML = '';
+        aggressiveCleanup.style.display = 'none';
+
+        // Force reload of the window location if we are stuck?
+        // No, let's trust that clearing the 'zoomAppRoot' kills the iframe/rendering logic.
+    }
+
+    // Explicitly unmount if React was used internally? No access.
+    // We will rely on innerHTML = '' hitting the root.
+
+    if (hadSession) setZoomState(finalState);
+    if (wasInMeeting && finalState === ZOOM_STATES.IDLE) {
+        emitZoomEvent('left', { reason: reason });
+    }
+}
+
+
+// --- GRID VIEW IMPLEMENTATION ---
+
+// One tile per participant, keyed by userId. renderGrid diffs the SDK roster
+// against this map instead of rebuilding the grid, so running videos keep
+// their canvases and don't flicker.
+const gridTiles = new Map();
+let gridUpdateTimer = null;
+
+// Paged gallery: only the current page renders video, everyone else shows up
+// as a name chip below it. The Web SDK can't sustain video for 20+ people.
+const DEFAULT_TILES_PER_PAGE = 9;
+let gridTilesPerPage = DEFAULT_TILES_PER_PAGE;
+let gridPage = 0;
+// userIds in the order they were last paged, so name chips can find their page
+let gridPagedOrder = [];
+
+// 'gallery' pages everyone in equal tiles; 'speaker' shows one large tile
+// (pinned participant, else the active speaker) above a filmstrip of the rest
+let gridLayout = 'gallery';
+let activeSpeakerId = null;
+let pinnedUserId = null;
+
+// While someone shares their screen the share takes the large tile and
+// everyone moves to the filmstrip, whatever the layout. Builds without
+// startShareView get the SDK's own view back for the duration of the share.
+let activeShareUserId = null;
+// { card, canvas, label, userId, isRendering } for the share, or null
+let shareTile = null;
+let shareHandedToSdk = false;
+
+// The grid lives inside the Flutter platform view (next to the SDK root) so
+// it never covers the rest of the app. Fullscreen mode moves it to a
+// viewport overlay instead.
+let gridContainerEl = null;
+let gridFullscreen = false;
+// Releases the grid's SDK listeners while grid mode is on
+let releaseGridListeners = null;
+
+// `options.tilesPerPage` caps how many video tiles are rendered at once,
+// `options.layout` picks 'gallery' or 'speaker', `options.fullscreen` shows
+// the grid over the whole viewport instead of inside the platform view
+async function toggleZoomGrid(enable, options = {}) {
+    if (!client || zoomState !== ZOOM_STATES.IN_MEETING) return;
+    isGridMode = enable;
+    console.log("Toggling Grid Mode:", enable);
+
+    if (options.tilesPerPage) setGridTilesPerPage(options.tilesPerPage, false);
+    if (options.layout) setGridLayout(options.layout, false);
+    if (options.fullscreen !== undefined) gridFullscreen = !!options.fullscreen;
+
+    const zoomRoot = findZoomRoot(findZoomContainer());
+    const gridContainer = getOrCreateGridContainer();
+
+    if (enable) {
+        if (zoomRoot) zoomRoot.style.visibility = 'hidden'; // Don't display:none or it might kill audio
+        gridContainer.style.display = 'flex';
+        mountGridContainer();
+        activeShareUserId = findActiveSharer();
+        await renderGrid();
+
+        // Roster changes drive updates; no polling needed
+        if (!releaseGridListeners) {
+            try {
+                const releases = [
+                    trackClientListener('user-added', scheduleGridUpdate),
+                    trackClientListener('user-removed', scheduleGridUpdate),
+                    trackClientListener('user-updated', scheduleGridUpdate),
+                    trackClientListener('active-speaker', handleActiveSpeaker),
+                    trackClientListener('active-share-change', handleActiveShare)
+                ];
+                releaseGridListeners = () => releases.forEach(release => release());
+            } catch (e) { }
+        }
+
+    } else {
+        if (zoomRoot) zoomRoot.style.visibility = 'visible';
+        gridContainer.style.display = 'none';
+        stopGridRendering();
+        activeShareUserId = null;
+        shareHandedToSdk = false;
+
+        if (releaseGridListeners) {
+            releaseGridListeners();
+            releaseGridListeners = null;
+        }
+    }
+}
+
+// Session cleanup for grid mode: canvases, listeners, observer and the
+// container itself. Layout preferences (page size, layout, fullscreen) stay.
+function teardownGrid() {
+    stopGridRendering();
+    if (releaseGridListeners) {
+        releaseGridListeners();
+        releaseGridListeners = null;
+    }
+    if (gridContainerEl) {
+        gridContainerEl.remove();
+        gridContainerEl = null;
+    }
+    isGridMode = false;
+    gridPage = 0;
+    activeSpeakerId = null;
+    pinnedUserId = null;
+    activeShareUserId = null;
+    shareHandedToSdk = false;
+}
+
+// SDK events come in bursts (a join fires user-added and several user-updated),
+// so coalesce them into a single render
+function scheduleGridUpdate() {
+    if (gridUpdateTimer) return;
+    gridUpdateTimer = setTimeout(() => {
+        gridUpdateTimer = null;
+        renderGrid();
+    }, 50);
+}
+
+// The SDK sends the current speakers; an empty list (silence) keeps the last one
+function handleActiveSpeaker(speakers) {
+    const list = [].concat(speakers || []);
+    if (!list.length || list[0].userId === activeSpeakerId) return;
+
+    activeSpeakerId = list[0].userId;
+    emitZoomEvent('active-speaker', { userId: activeSpeakerId, displayName: list[0].displayName });
+
+    // The speaker tile itself moves only in speaker layout without a pin
+    if (gridLayout === 'speaker' && pinnedUserId === null) {
+        scheduleGridUpdate();
+    } else {
+        highlightActiveSpeaker();
+    }
+}
+
+function highlightActiveSpeaker() {
+    for (const tile of gridTiles.values()) {
+        // Outline paints above the canvas and doesn't shift the layout
+        tile.card.style.outline = tile.userId === activeSpeakerId ? '3px solid var(--zoom-active-speaker, #2D8CFF)' : 'none';
+        tile.card.style.outlineOffset = '-3px';
+    }
+}
+
+function setGridLayout(layout, rerender = true) {
+    if (layout !== 'gallery' && layout !== 'speaker') {
+        console.warn('Unknown grid layout:', layout);
+        return;
+    }
+    if (layout === gridLayout) return;
+    gridLayout = layout;
+    gridPage = 0;
+    if (rerender) scheduleGridUpdate();
+}
+
+// Pinning keeps a participant in the large tile (speaker layout) or first in
+// the gallery, e.g. while they present their role. Pass null to unpin.
+function pinParticipant(userId) {
+    pinnedUserId = userId ?? null;
+    scheduleGridUpdate();
+}
+
+// Spotlight pins locally and, for hosts on SDK builds that support it,
+// spotlights the participant for everyone in the meeting
+async function spotlightParticipant(userId) {
+    pinParticipant(userId);
+    if (!client || typeof client.spotlightVideo !== 'function') return;
+    try {
+        await client.spotlightVideo(userId);
+    } catch (e) { console.warn('Spotlight failed for', userId, e); }
+}
+
+function setGridFullscreen(enable) {
+    gridFullscreen = !!enable;
+    if (isGridMode) {
+        mountGridContainer();
+        scheduleGridUpdate();
+    }
+}
+
+function setGridTilesPerPage(count, rerender = true) {
+    const value = parseInt(count, 10);
+    if (!value || value < 1) return;
+    // Keep the same first participant in view when the page size changes
+    gridPage = Math.floor((gridPage * gridTilesPerPage) / value);
+    gridTilesPerPage = value;
+    if (rerender) scheduleGridUpdate();
+}
+
+function setGridPage(page) {
+    gridPage = Math.max(0, parseInt(page, 10) || 0);
+    scheduleGridUpdate();
+}
+
+function nextGridPage() {
+    setGridPage(gridPage + 1);
+}
+
+function previousGridPage() {
+    setGridPage(gridPage - 1);
+}
+
+// Speaker layout and screen share both show one large tile above a filmstrip
+function hasStageTile() {
+    return gridLayout === 'speaker' || activeShareUserId !== null;
+}
+
+function pagedTilesPerPage() {
+    return hasStageTile() ? Math.max(1, gridTilesPerPage - 1) : gridTilesPerPage;
+}
+
+function getGridPageInfo() {
+    const total = isGridMode ? getMeetingUsers().length : 0;
+    // The share takes the large tile, so then everyone is in the filmstrip
+    const paged = gridLayout === 'speaker' && activeShareUserId === null ? Math.max(0, total - 1) : total;
+    return {
+        page: gridPage,
+        pageCount: Math.max(1, Math.ceil(paged / pagedTilesPerPage())),
+        tilesPerPage: gridTilesPerPage,
+        participantCount: total,
+        layout: gridLayout,
+        activeSpeakerId: activeSpeakerId,
+        pinnedUserId: pinnedUserId,
+        shareUserId: activeShareUserId
+    };
+}
+
+// Splits the roster into the large tile (speaker layout only) and the list
+// that gets paged
+function arrangeParticipants(participants) {
+    const pinned = participants.find(p => p.userId === pinnedUserId) || null;
+
+    // The share is the large tile; a pinned participant leads the filmstrip
+    if (activeShareUserId !== null) {
+        return { main: null, paged: pinned ? [pinned, ...participants.filter(p => p !== pinned)] : participants };
+    }
+
+    if (gridLayout === 'speaker') {
+        const main = pinned
+            || participants.find(p => p.userId === activeSpeakerId)
+            || participants[0]
+            || null;
+        return { main, paged: participants.filter(p => p !== main) };
+    }
+
+    if (pinned) {
+        return { main: null, paged: [pinned, ...participants.filter(p => p !== pinned)] };
+    }
+    return { main: null, paged: participants };
+}
+
+// The SDK root is whatever the SDK rendered into our container; the grid and
+// the status overlay sit next to it, so skip those
+function findZoomRoot(container) {
+    const byId = document.getElementById('zmmtg-root') || (container && container.querySelector('#zmmtg-root'));
+    if (byId) return byId;
+    if (!container) return null;
+    return [...container.children].find(child => child !== gridContainerEl && child !== statusOverlayEl) || null;
+}
+
+// The grid container holds four parts: the video tiles of the current page
+// (or the large tile in speaker layout), the speaker layout filmstrip, a strip
+// of name chips for off-page participants and the page controls.
+function getOrCreateGridContainer() {
+    let el = gridContainerEl;
+    if (!el) {
+        el = document.createElement('div');
+        el.id = 'custom-grid-container';
+        el.style.backgroundColor = 'var(--zoom-brand-background, #000)';
+        el.style.display = 'none';
+        el.style.flexDirection = 'column';
+        el.style.gap = '10px';
+        el.style.padding = '10px';
+        el.style.boxSizing = 'border-box';
+
+        // CSS Grid Layout
+        const tiles = document.createElement('div');
+        tiles.className = 'zoom-grid-tiles';
+        tiles.style.display = 'grid';
+        tiles.style.gridTemplateColumns = 'repeat(auto-fit, minmax(300px, 1fr))';
+        tiles.style.gap = '10px';
+        tiles.style.flex = '1';
+        tiles.style.minHeight = '0';
+        tiles.style.overflowY = 'auto'; // Scrollable
+
+        const filmstrip = document.createElement('div');
+        filmstrip.className = 'zoom-grid-filmstrip';
+        filmstrip.style.display = 'none';
+        filmstrip.style.gap = '10px';
+        filmstrip.style.height = '120px';
+        filmstrip.style.overflowX = 'auto';
+        filmstrip.style.flexShrink = '0';
+
+        const names = document.createElement('div');
+        names.className = 'zoom-grid-names';
+        names.style.display = 'none';
+        names.style.gap = '6px';
+        names.style.overflowX = 'auto';
+        names.style.flexShrink = '0';
+
+        const pager = document.createElement('div');
+        pager.className = 'zoom-grid-pager';
+        pager.style.display = 'none';
+        pager.style.justifyContent = 'center';
+        pager.style.alignItems = 'center';
+        pager.style.gap = '16px';
+        pager.style.color = 'white';
+        pager.style.flexShrink = '0';
+
+        const prev = createPagerButton('‹', previousGridPage);
+        prev.classList.add('zoom-grid-prev');
+        const label = document.createElement('span');
+        label.className = 'zoom-grid-page-label';
+        const next = createPagerButton('›', nextGridPage);
+        next.classList.add('zoom-grid-next');
+        pager.append(prev, label, next);
+
+        el.append(tiles, filmstrip, names, pager);
+        gridContainerEl = el;
+    }
+    return el;
+}
+
+// Attach the grid to its host: the Zoom container (also inside a platform
+// view's shadow root) or, in fullscreen mode, the document body. Flutter can
+// rebuild the platform view, so this runs again before every render.
+function mountGridContainer() {
+    const el = getOrCreateGridContainer();
+    const host = gridFullscreen ? document.body : findZoomContainer();
+    if (!host) return false;
+
+    if (el.parentNode !== host) host.appendChild(el);
+
+    if (gridFullscreen) {
+        el.style.position = 'fixed';
+        el.style.width = '100vw'; // Use full viewport over the iframe/view
+        el.style.height = '100vh';
+        el.style.zIndex = '99999'; // On top of everything
+    } else {
+        el.style.position = 'absolute';
+        el.style.width = '100%'; // Exactly the platform view's box
+        el.style.height = '100%';
+        el.style.zIndex = '10'; // Above the hidden SDK root only
+    }
+    el.style.top = '0';
+    el.style.left = '0';
+
+    // The platform view may have been rebuilt
+    observeZoomContainer(findZoomContainer());
+    return true;
+}
+
+// Follow Flutter layout changes: a resized platform view can need another
+// layout profile and changes how many gallery columns fit
+function observeZoomContainer(host) {
+    if (containerResizeObserver && containerResizeObserver.host === host) return;
+    unobserveZoomContainer();
+    if (!host || typeof ResizeObserver !== 'function') return;
+
+    containerResizeObserver = new ResizeObserver(() => {
+        scaleZoomContent();
+        if (isGridMode) scheduleGridUpdate();
+    });
+    containerResizeObserver.host = host;
+    containerResizeObserver.observe(host);
+}
+
+function unobserveZoomContainer() {
+    if (containerResizeObserver) {
+        containerResizeObserver.disconnect();
+        containerResizeObserver = null;
+    }
+}
+
+// Two columns minimum on narrow (phone) containers, 300px tiles otherwise
+function galleryColumns() {
+    const width = gridContainerEl ? gridContainerEl.clientWidth : 0;
+    const minTile = width ? Math.max(140, Math.min(300, Math.floor(width / 2) - 15)) : 300;
+    return `repeat(auto-fit, minmax(${minTile}px, 1fr))`;
+}
+
+function createPagerButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.style.fontSize = '24px';
+    button.style.width = '44px';
+    button.style.height = '44px';
+    button.style.borderRadius = '22px';
+    button.style.border = 'none';
+    button.style.background = 'rgba(255,255,255,0.15)';
+    button.style.color = 'white';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function createGridTile(p) {
+    const card = document.createElement('div');
+    card.dataset.userId = p.userId;
+    card.style.position = 'relative';
+    card.style.background = 'var(--zoom-brand-surface, #222)';
+    card.style.aspectRatio = '16/9';
+    card.style.overflow = 'hidden';
+    card.style.borderRadius = '8px';
+    card.style.border = '1px solid #444';
+
+    // Canvas for video
+    const canvas = document.createElement('canvas');
+    canvas.className = 'video-canvas';
+    canvas.style.width = '100%';
+    canvas.style.height = '100%';
+    canvas.style.display = 'block';
+
+    // Label
+    const label = document.createElement('div');
+    label.style.position = 'absolute';
+    label.style.bottom = '5px';
+    label.style.left = '5px';
+    label.style.color = 'white';
+    label.style.background = 'rgba(0,0,0,0.6)';
+    label.style.padding = '2px 6px';
+    label.style.fontSize = '12px';
+    label.style.borderRadius = '4px';
+    label.style.pointerEvents = 'none'; // Click through
+
+    // Initials avatar, shown instead of the canvas while video is off
+    const avatar = document.createElement('div');
+    avatar.className = 'tile-avatar';
+    avatar.style.position = 'absolute';
+    avatar.style.top = '50%';
+    avatar.style.left = '50%';
+    avatar.style.transform = 'translate(-50%, -50%)';
+    avatar.style.width = '30%';
+    avatar.style.aspectRatio = '1';
+    avatar.style.maxWidth = '96px';
+    avatar.style.borderRadius = '50%';
+    avatar.style.display = 'none';
+    avatar.style.alignItems = 'center';
+    avatar.style.justifyContent = 'center';
+    avatar.style.color = 'white';
+    avatar.style.fontSize = '24px';
+    avatar.style.fontWeight = 'bold';
+    avatar.style.background = avatarColor(p.userId);
+    avatar.style.pointerEvents = 'none';
+
+    // Mic / video / hand indicators in the top right corner
+    const status = document.createElement('div');
+    status.className = 'tile-status';
+    status.style.position = 'absolute';
+    status.style.top = '5px';
+    status.style.right = '5px';
+    status.style.display = 'flex';
+    status.style.gap = '4px';
+    status.style.pointerEvents = 'none';
+
+    const icons = {
+        hand: createStatusIcon('hand'),
+        audioMuted: createStatusIcon('audioMuted'),
+        videoOff: createStatusIcon('videoOff')
+    };
+    status.append(icons.hand, icons.audioMuted, icons.videoOff);
+
+    card.appendChild(canvas);
+    card.appendChild(avatar);
+    card.appendChild(label);
+    card.appendChild(status);
+
+    // Double click pins (or unpins) the participant
+    card.addEventListener('dblclick', () => {
+        pinParticipant(pinnedUserId === p.userId ? null : p.userId);
+    });
+
+    return {
+        userId: p.userId, card, canvas, label, avatar, icons, chip: null,
+        isRendering: false, quality: null, placement: null
+    };
+}
+
+const STATUS_ICONS = {
+    // Material "mic_off"
+    audioMuted: '<svg viewBox="0 0 24 24" width="14" height="14" fill="#ff5252"><path d="M19 11h-1.7c0 .74-.16 1.43-.43 2.05l1.23 1.23c.56-.98.9-2.09.9-3.28zm-4.02.17c0-.06.02-.11.02-.17V5c0-1.66-1.34-3-3-3S9 3.34 9 5v.18l5.98 5.99zM4.27 3L3 4.27l6.01 6.01V11c0 1.66 1.33 3 2.99 3 .22 0 .44-.03.65-.08l1.66 1.66c-.71.33-1.5.52-2.31.52-2.76 0-5.3-2.1-5.3-5.1H5c0 3.41 2.72 6.23 6 6.72V21h2v-3.28c.91-.13 1.77-.45 2.54-.9L19.73 21 21 19.73 4.27 3z"/></svg>',
+    // Material "videocam_off"
+    videoOff: '<svg viewBox="0 0 24 24" width="14" height="14" fill="#ff5252"><path d="M21 6.5l-4 4V7c0-.55-.45-1-1-1H9.82L21 17.18V6.5zM3.27 2L2 3.27 4.73 6H4c-.55 0-1 .45-1 1v10c0 .55.45 1 1 1h12c.21 0 .39-.08.54-.18L19.73 21 21 19.73 3.27 2z"/></svg>',
+    hand: '<span style="font-size:14px;line-height:14px">✋</span>'
+};
+
+function createStatusIcon(kind) {
+    const icon = document.createElement('span');
+    icon.className = `tile-status-${kind}`;
+    icon.style.display = 'none';
+    icon.style.padding = '3px';
+    icon.style.borderRadius = '4px';
+    icon.style.background = 'rgba(0,0,0,0.6)';
+    icon.innerHTML = STATUS_ICONS[kind];
+    return icon;
+}
+
+// Tooltip plus accessible name, touched only when the locale changed it
+function setTitle(el, text) {
+    if (el.title === text) return;
+    el.title = text;
+    el.setAttribute('aria-label', text);
+}
+
+function initials(name) {
+    const words = String(name).trim().split(/\s+/).filter(Boolean);
+    if (!words.length) return '?';
+    return words.slice(0, 2).map(w => w[0]).join('').toUpperCase();
+}
+
+// Stable colour per participant so avatars are easy to tell apart
+function avatarColor(userId) {
+    const palette = ['#5C6BC0', '#26A69A', '#EF6C00', '#AB47BC', '#42A5F5', '#8D6E63', '#EC407A', '#7CB342'];
+    const hash = String(userId).split('').reduce((acc, ch) => (acc * 31 + ch.charCodeAt(0)) >>> 0, 0);
+    return palette[hash % palette.length];
+}
+
+// The SDK leaves `audio` empty for participants who never joined audio
+function isAudioMuted(p) {
+    return p.muted === true || p.audio === '';
+}
+
+// Raised hand is only reported by some SDK builds
+function hasRaisedHand(p) {
+    return !!(p.bRaiseHand || p.isRaisedHand);
+}
+
+// Live indicators and the avatar fallback, refreshed on every user-updated
+function updateTileStatus(tile, p) {
+    const videoOn = hasVideo(p);
+    const setVisible = (el, visible, display) => {
+        const value = visible ? display : 'none';
+        if (el.style.display !== value) el.style.display = value;
+    };
+
+    setVisible(tile.canvas, videoOn, 'block');
+    setVisible(tile.avatar, !videoOn, 'flex');
+    setVisible(tile.icons.audioMuted, isAudioMuted(p), 'inline-flex');
+    setVisible(tile.icons.videoOff, !videoOn, 'inline-flex');
+    setVisible(tile.icons.hand, hasRaisedHand(p), 'inline-flex');
+
+    setTitle(tile.icons.audioMuted, translate('audioMuted'));
+    setTitle(tile.icons.videoOff, translate('videoOff'));
+    setTitle(tile.icons.hand, translate('handRaised'));
+    setTitle(tile.card, translate('pinHint'));
+
+    const text = initials(participantName(p));
+    if (tile.avatar.textContent !== text) tile.avatar.textContent = text;
+}
+
+// Sizes a tile for where it sits: an equal gallery cell, the large speaker
+// tile or a filmstrip thumbnail
+function applyTilePlacement(tile, placement) {
+    if (tile.placement === placement) return;
+    tile.placement = placement;
+
+    const style = tile.card.style;
+    style.aspectRatio = placement === 'main' ? '' : '16/9';
+    style.height = placement === 'main' ? '100%' : '';
+    style.width = placement === 'film' ? '200px' : '';
+    style.flexShrink = placement === 'film' ? '0' : '';
+}
+
+// Lightweight stand-in for a participant on another page: just the name,
+// clicking it jumps to their page
+function getOrCreateNameChip(tile) {
+    if (!tile.chip) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.dataset.userId = tile.userId;
+        chip.style.flexShrink = '0';
+        chip.style.padding = '6px 10px';
+        chip.style.borderRadius = '14px';
+        chip.style.border = '1px solid #444';
+        chip.style.background = '#222';
+        chip.style.color = 'white';
+        chip.style.fontSize = '12px';
+        chip.style.whiteSpace = 'nowrap';
+        chip.style.cursor = 'pointer';
+        chip.addEventListener('click', () => {
+            const index = gridPagedOrder.indexOf(tile.userId);
+            if (index >= 0) setGridPage(Math.floor(index / pagedTilesPerPage()));
+        });
+        tile.chip = chip;
+    }
+    return tile.chip;
+}
+
+function participantName(p) {
+    return p.displayName || p.userName || '';
+}
+
+// Participants without a bVideoOn flag are treated as having video,
+// which matches what the grid did before the SDK reported it
+function hasVideo(p) {
+    return p.bVideoOn !== false;
+}
+
+// `quality` is the SDK's VideoQuality (1 = 180p, 2 = 360p, 3 = 720p) and
+// matches the render size. Smaller pages and the large speaker tile get 360p;
+// full pages and filmstrip thumbnails drop to 180p to stay within what the
+// Web SDK can decode
+const HIGH_VIDEO_QUALITY = { width: 640, height: 360, quality: 2 };
+const LOW_VIDEO_QUALITY = { width: 320, height: 180, quality: 1 };
+
+function videoQualityFor(visibleCount) {
+    return visibleCount <= 4 ? HIGH_VIDEO_QUALITY : LOW_VIDEO_QUALITY;
+}
+
+// Starts, stops or re-renders a visible tile's video to match the participant
+function syncTileVideo(stream, tile, p, quality, pending) {
+    // Re-render when the tile moved to another quality tier
+    if (tile.isRendering && tile.quality !== quality.quality) {
+        stopTileVideo(stream, tile);
+    }
+    if (hasVideo(p) && !tile.isRendering) {
+        pending.push(startTileVideo(stream, tile, quality));
+    } else if (!hasVideo(p) && tile.isRendering) {
+        stopTileVideo(stream, tile);
+    }
+}
+
+async function startTileVideo(stream, tile, quality) {
+    tile.isRendering = true;
+    tile.quality = quality.quality;
+    try {
+        await stream.renderVideo(tile.canvas, tile.userId, quality.width, quality.height, 0, 0, quality.quality);
+    } catch (e) {
+        tile.isRendering = false;
+        console.warn('Failed to render video for', tile.label.textContent, e);
+    }
+}
+
+function stopTileVideo(stream, tile) {
+    if (!tile.isRendering) return;
+    tile.isRendering = false;
+    try {
+        stream.stopRenderVideo(tile.canvas, tile.userId);
+    } catch (e) { }
+}
+
+// Keep `parent`'s children in the given order, moving only what is out of place
+function placeChild(parent, child, index) {
+    if (parent.children[index] !== child) {
+        parent.insertBefore(child, parent.children[index] || null);
+    }
+}
+
+function findActiveSharer() {
+    const sharer = getMeetingUsers().find(p => p.sharerOn || p.bShareOn || p.isSharing);
+    return sharer ? sharer.userId : null;
+}
+
+function handleActiveShare(e) {
+    const userId = e && e.state === 'Active' ? (e.userId ?? findActiveSharer()) : null;
+    if (userId === activeShareUserId) return;
+    activeShareUserId = userId;
+    gridPage = 0;
+
+    // Without share rendering in this build, let the SDK show the share
+    let stream = null;
+    try { stream = client.getMediaStream(); } catch (e) { }
+    const canRenderShare = !!(stream && typeof stream.startShareView === 'function');
+    shareHandedToSdk = userId !== null && !canRenderShare;
+    const zoomRoot = findZoomRoot(findZoomContainer());
+    if (zoomRoot) zoomRoot.style.visibility = shareHandedToSdk ? 'visible' : 'hidden';
+    if (gridContainerEl) gridContainerEl.style.display = shareHandedToSdk ? 'none' : 'flex';
+
+    scheduleGridUpdate();
+}
+
+// The large share tile; (re)starts the share view when the sharer changes
+function syncShareTile(stream, sharer) {
+    if (!shareTile) {
+        const card = document.createElement('div');
+        card.className = 'zoom-grid-share';
+        card.style.position = 'relative';
+        card.style.width = '100%';
+        card.style.height = '100%';
+        card.style.background = '#000';
+        card.style.overflow = 'hidden';
+        card.style.borderRadius = '8px';
+
+        const canvas = document.createElement('canvas');
+        canvas.style.width = '100%';
+        canvas.style.height = '100%';
+        canvas.style.display = 'block';
+        canvas.style.objectFit = 'contain';
+
+        const label = document.createElement('div');
+        label.style.position = 'absolute';
+        label.style.top = '5px';
+        label.style.left = '5px';
+        label.style.padding = '2px 8px';
+        label.style.borderRadius = '4px';
+        label.style.background = 'rgba(0,0,0,0.6)';
+        label.style.color = 'white';
+        label.style.fontSize = '12px';
+
+        card.append(canvas, label);
+        shareTile = { card, canvas, label, userId: null, isRendering: false };
+    }
+
+    const text = translate('screenShare', { name: sharer ? participantName(sharer) : '' });
+    if (shareTile.label.textContent !== text) shareTile.label.textContent = text;
+
+    if (shareTile.userId !== activeShareUserId) {
+        stopShareView(stream);
+        shareTile.userId = activeShareUserId;
+        shareTile.isRendering = true;
+        Promise.resolve()
+            .then(() => stream.startShareView(shareTile.canvas, activeShareUserId))
+            .catch((e) => {
+                if (shareTile) shareTile.isRendering = false;
+                console.warn('Failed to render the screen share', e);
+            });
+    }
+    return shareTile.card;
+}
+
+function stopShareView(stream) {
+    if (!shareTile || !shareTile.isRendering) return;
+    shareTile.isRendering = false;
+    try {
+        if (stream && typeof stream.stopShareView === 'function') stream.stopShareView();
+    } catch (e) { }
+}
+
+function removeShareTile(stream) {
+    if (!shareTile) return;
+    stopShareView(stream);
+    shareTile.card.remove();
+    shareTile = null;
+}
+
+function updatePager(grid, pageCount) {
+    const pager = grid.querySelector('.zoom-grid-pager');
+    setTitle(pager.querySelector('.zoom-grid-prev'), translate('previousPage'));
+    setTitle(pager.querySelector('.zoom-grid-next'), translate('nextPage'));
+    pager.style.display = pageCount > 1 ? 'flex' : 'none';
+    pager.querySelector('.zoom-grid-page-label').textContent = `${gridPage + 1} / ${pageCount}`;
+    pager.querySelector('.zoom-grid-prev').disabled = gridPage === 0;
+    pager.querySelector('.zoom-grid-next').disabled = gridPage >= pageCount - 1;
+}
+
+async function renderGrid() {
+    if (!isGridMode || !client) return;
+
+    try {
+        if (!mountGridContainer()) {
+            console.warn("Zoom container not found, grid not rendered");
+            return;
+        }
+        const grid = getOrCreateGridContainer();
+        const tilesArea = grid.querySelector('.zoom-grid-tiles');
+        const filmstrip = grid.querySelector('.zoom-grid-filmstrip');
+        const namesArea = grid.querySelector('.zoom-grid-names');
+
+        // Ensure stream is available
+        let stream = null;
+        try { stream = client.getMediaStream(); } catch (e) { console.warn("No MediaStream:", e); }
+
+        if (!stream) {
+            console.warn("Stream not found, retrying...");
+            return;
+        }
+
+        const participants = getMeetingUsers();
+        const { main, paged } = arrangeParticipants(participants);
+        const perPage = pagedTilesPerPage();
+        const pageCount = Math.max(1, Math.ceil(paged.length / perPage));
+        gridPage = Math.min(gridPage, pageCount - 1);
+        const pageStart = gridPage * perPage;
+        const visibleCount = Math.min(perPage, paged.length - pageStart);
+        const isSpeakerLayout = hasStageTile();
+        const pageArea = isSpeakerLayout ? filmstrip : tilesArea;
+        const pageQuality = isSpeakerLayout ? LOW_VIDEO_QUALITY : videoQualityFor(visibleCount);
+        gridPagedOrder = paged.map(p => p.userId);
+
+        tilesArea.style.gridTemplateColumns = isSpeakerLayout ? '1fr' : galleryColumns();
+        filmstrip.style.display = isSpeakerLayout && visibleCount > 0 ? 'flex' : 'none';
+
+        const present = new Set();
+        const pending = [];
+        let chipIndex = 0;
+
+        const ensureTile = (p) => {
+            present.add(p.userId);
+            let tile = gridTiles.get(p.userId);
+            if (!tile) {
+                tile = createGridTile(p);
+                gridTiles.set(p.userId, tile);
+            }
+            const name = participantName(p);
+            if (tile.label.textContent !== name) tile.label.textContent = name;
+            updateTileStatus(tile, p);
+            return tile;
+        };
+
+        if (activeShareUserId !== null && !shareHandedToSdk) {
+            const sharer = participants.find(p => p.userId === activeShareUserId);
+            placeChild(tilesArea, syncShareTile(stream, sharer), 0);
+        } else {
+            removeShareTile(stream);
+        }
+
+        if (main) {
+            const tile = ensureTile(main);
+            if (tile.chip) tile.chip.remove();
+            applyTilePlacement(tile, 'main');
+            placeChild(tilesArea, tile.card, 0);
+            syncTileVideo(stream, tile, main, HIGH_VIDEO_QUALITY, pending);
+        }
+
+        paged.forEach((p, index) => {
+            const tile = ensureTile(p);
+
+            const onPage = index >= pageStart && index < pageStart + perPage;
+            if (onPage) {
+                if (tile.chip) tile.chip.remove();
+                applyTilePlacement(tile, isSpeakerLayout ? 'film' : 'gallery');
+                placeChild(pageArea, tile.card, index - pageStart);
+                syncTileVideo(stream, tile, p, pageQuality, pending);
+            } else {
+                stopTileVideo(stream, tile);
+                tile.card.remove();
+                const chip = getOrCreateNameChip(tile);
+                const name = participantName(p);
+                if (chip.textContent !== name) chip.textContent = name;
+                placeChild(namesArea, chip, chipIndex++);
+            }
+        });
+
+        for (const [userId, tile] of gridTiles) {
+            if (present.has(userId)) continue;
+            stopTileVideo(stream, tile);
+            tile.card.remove();
+            if (tile.chip) tile.chip.remove();
+            gridTiles.delete(userId);
+        }
+
+        // A pinned participant who left can't stay pinned
+        if (pinnedUserId !== null && !present.has(pinnedUserId)) pinnedUserId = null;
+
+        namesArea.style.display = chipIndex > 0 ? 'flex' : 'none';
+        updatePager(grid, pageCount);
+        highlightActiveSpeaker();
+
+        await Promise.all(pending);
+    } catch (error) {
+        console.error("Render Grid Error:", error);
+    }
+}
+
+function stopGridRendering() {
+    if (gridUpdateTimer) {
+        clearTimeout(gridUpdateTimer);
+        gridUpdateTimer = null;
+    }
+
+    let stream = null;
+    if (client) {
+        try { stream = client.getMediaStream(); } catch (e) { }
+    }
+    for (const tile of gridTiles.values()) {
+        if (stream) stopTileVideo(stream, tile);
+    }
+    gridTiles.clear();
+    removeShareTile(stream);
+
+    const grid = gridContainerEl;
+    if (grid) {
+        // efficient clear; the container's own parts stay in place
+        grid.querySelector('.zoom-grid-tiles').innerHTML = '';
+        grid.querySelector('.zoom-grid-filmstrip').innerHTML = '';
+        grid.querySelector('.zoom-grid-names').innerHTML = '';
+        grid.querySelector('.zoom-grid-pager').style.display = 'none';
+    }
+}
+
+// --- RECORDER ---
+
+// Local recording of the custom grid: the visible tiles are painted into one
+// canvas in their on-screen layout, mixed with meeting audio, recorded with
+// MediaRecorder and made seekable with the bundled fix-webm-duration.
+//
+// The SDK plays remote audio through an AudioWorklet, not media elements, so
+// page code can't tap it: meeting audio comes from capturing this tab
+// (getDisplayMedia with preferCurrentTab), which the browser asks the user to
+// allow. Our own microphone is mixed in separately, as the SDK doesn't play us
+// back to ourselves. Declining the tab capture fails the start with
+// 'recording-unavailable'; `meetingAudio: false` records without it.
+
+const RECORDING_SIZE = { width: 1280, height: 720 };
+const RECORDING_FPS = 15;
+const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+// Shipped with the record_web plugin; loaded on demand when Flutter hasn't yet
+const FIX_WEBM_DURATION_SRC = 'assets/packages/record_web/assets/js/record.fixwebmduration.js';
+
+// { recorder, canvas, drawTimer, audio, mimeType, chunks, startedAt, pausedAt,
+//   pausedMs, fileName, finish, stopped }
+let activeRecording = null;
+// Set while startRecording waits for permissions, so a second call can't start
+// another recorder alongside
+let recordingStarting = false;
+// Result of the last stopRecording, kept for download/share
+let lastRecording = null;
+
+// options: { includeMicrophone = true, meetingAudio = true, fileName }
+async function startRecording(options = {}) {
+    if (!client || zoomState !== ZOOM_STATES.IN_MEETING) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.NOT_IN_MEETING, 'Recording is only available in a meeting');
+    }
+    if (activeRecording || recordingStarting) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.INVALID_OPTIONS, 'A recording is already in progress');
+    }
+    if (!isGridMode) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.RECORDING_UNAVAILABLE, 'Recording needs the grid view (toggleZoomGrid)');
+    }
+    const mimeType = typeof MediaRecorder === 'undefined'
+        ? null
+        : RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.RECORDING_UNAVAILABLE, 'This browser cannot record WebM video');
+    }
+
+    recordingStarting = true;
+    let audio = null;
+    let drawTimer = null;
+    try {
+        audio = await mixMeetingAudio(options.meetingAudio !== false, options.includeMicrophone !== false);
+        // The session may have ended while the permission prompts were up
+        if (!client || zoomState !== ZOOM_STATES.IN_MEETING) {
+            throw new ZoomServiceError(ZOOM_ERROR_CODES.NOT_IN_MEETING, 'The meeting ended before the recording started');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = RECORDING_SIZE.width;
+        canvas.height = RECORDING_SIZE.height;
+        const context = canvas.getContext('2d');
+        drawTimer = setInterval(() => drawRecordingFrame(context), 1000 / RECORDING_FPS);
+        drawRecordingFrame(context);
+
+        const stream = new MediaStream([
+            ...canvas.captureStream(RECORDING_FPS).getVideoTracks(),
+            ...(audio ? audio.destination.stream.getAudioTracks() : [])
+        ]);
+
+        let recorder;
+        try {
+            recorder = new MediaRecorder(stream, { mimeType });
+        } catch (e) {
+            throw new ZoomServiceError(ZOOM_ERROR_CODES.RECORDING_FAILED, 'Could not start the recorder', e);
+        }
+
+        const recording = {
+            recorder, canvas, drawTimer, audio, mimeType,
+            chunks: [],
+            startedAt: Date.now(),
+            pausedAt: null,
+            pausedMs: 0,
+            fileName: options.fileName || `zoom-session-${new Date().toISOString().replace(/[:.]/g, '-')}.webm`,
+            finish: null,
+            stopped: null
+        };
+        recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size) recording.chunks.push(e.data);
+        };
+
+        try {
+            recorder.start(1000);
+        } catch (e) {
+            throw new ZoomServiceError(ZOOM_ERROR_CODES.RECORDING_FAILED, 'Could not start the recorder', e);
+        }
+        // A recording never outlives its session: this runs once, from
+        // stopRecording or when the session ends
+        recording.finish = trackCleanup(() => {
+            recording.stopped = finishRecording(recording);
+            recording.stopped.catch((e) => console.warn('Could not finalize the recording', e));
+        });
+        activeRecording = recording;
+    } catch (error) {
+        clearInterval(drawTimer);
+        if (audio) releaseRecordingAudio(audio);
+        throw error instanceof ZoomServiceError
+            ? error
+            : new ZoomServiceError(ZOOM_ERROR_CODES.RECORDING_FAILED, 'Could not start the recording', error);
+    } finally {
+        recordingStarting = false;
+    }
+
+    console.log('Recording started:', mimeType);
+    emitZoomEvent('recording-state', { state: 'recording' });
+}
+
+function pauseRecording() {
+    const recording = activeRecording;
+    if (!recording || recording.recorder.state !== 'recording') return;
+    recording.recorder.pause();
+    recording.pausedAt = Date.now();
+    emitZoomEvent('recording-state', { state: 'paused' });
+}
+
+function resumeRecording() {
+    const recording = activeRecording;
+    if (!recording || recording.recorder.state !== 'paused') return;
+    recording.recorder.resume();
+    recording.pausedMs += Date.now() - recording.pausedAt;
+    recording.pausedAt = null;
+    emitZoomEvent('recording-state', { state: 'recording' });
+}
+
+// Resolves with { url, fileName, mimeType, durationMs, size } (also emitted as
+// 'recording-ready'); the blob stays available for downloadRecording/shareRecording
+function stopRecording() {
+    const recording = activeRecording;
+    if (!recording) {
+        return Promise.resolve(lastRecording ? describeRecording(lastRecording) : null);
+    }
+    recording.finish();
+    return recording.stopped;
+}
+
+function finishRecording(recording) {
+    return new Promise((resolve, reject) => {
+        const end = recording.pausedAt || Date.now();
+        const durationMs = end - recording.startedAt - recording.pausedMs;
+
+        recording.recorder.onstop = async () => {
+            clearInterval(recording.drawTimer);
+            if (recording.audio) releaseRecordingAudio(recording.audio);
+            if (activeRecording === recording) activeRecording = null;
+            emitZoomEvent('recording-state', { state: 'stopped' });
+            try {
+                let blob = new Blob(recording.chunks, { type: recording.mimeType });
+                blob = await fixRecordingDuration(blob, durationMs);
+                if (lastRecording) URL.revokeObjectURL(lastRecording.url);
+                lastRecording = {
+                    blob,
+                    url: URL.createObjectURL(blob),
+                    fileName: recording.fileName,
+                    mimeType: recording.mimeType,
+                    durationMs
+                };
+                const result = describeRecording(lastRecording);
+                console.log(`Recording finished: ${Math.round(durationMs / 1000)}s, ${blob.size} bytes`);
+                emitZoomEvent('recording-ready', result);
+                resolve(result);
+            } catch (e) {
+                reject(new ZoomServiceError(ZOOM_ERROR_CODES.RECORDING_FAILED, 'Could not finalize the recording', e));
+            }
+        };
+        recording.recorder.stop();
+    });
+}
+
+function getRecordingState() {
+    if (!activeRecording) return 'inactive';
+    return activeRecording.recorder.state;
+}
+
+function describeRecording(result) {
+    return {
+        url: result.url,
+        fileName: result.fileName,
+        mimeType: result.mimeType,
+        durationMs: result.durationMs,
+        size: result.blob.size
+    };
+}
+
+// Saves the last recording through the browser's download prompt
+function downloadRecording() {
+    if (!lastRecording) return false;
+    const link = document.createElement('a');
+    link.href = lastRecording.url;
+    link.download = lastRecording.fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    return true;
+}
+
+// Opens the system share sheet where files can be shared (mostly mobile);
+// resolves false when that isn't possible so the caller can fall back to download
+async function shareRecording() {
+    if (!lastRecording || typeof navigator.share !== 'function' || typeof File === 'undefined') return false;
+    const file = new File([lastRecording.blob], lastRecording.fileName, { type: 'video/webm' });
+    if (typeof navigator.canShare === 'function' && !navigator.canShare({ files: [file] })) return false;
+    try {
+        await navigator.share({ files: [file], title: lastRecording.fileName });
+        return true;
+    } catch (e) {
+        // AbortError is the user closing the sheet
+        if (e && e.name !== 'AbortError') console.warn('Could not share the recording', e);
+        return false;
+    }
+}
+
+// Paints the grid as laid out on screen, scaled to fit the recording
+function drawRecordingFrame(context) {
+    const { width, height } = context.canvas;
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, width, height);
+
+    const grid = gridContainerEl;
+    if (!isGridMode || !grid || !grid.isConnected) return;
+    const area = grid.getBoundingClientRect();
+    if (!area.width || !area.height) return;
+
+    const scale = Math.min(width / area.width, height / area.height);
+    const offsetX = (width - area.width * scale) / 2;
+    const offsetY = (height - area.height * scale) / 2;
+
+    const tiles = shareTile ? [shareTile, ...gridTiles.values()] : gridTiles.values();
+    for (const tile of tiles) {
+        if (!tile.card.isConnected) continue;
+        const rect = tile.card.getBoundingClientRect();
+        if (!rect.width || !rect.height) continue;
+        const x = offsetX + (rect.left - area.left) * scale;
+        const y = offsetY + (rect.top - area.top) * scale;
+        const w = rect.width * scale;
+        const h = rect.height * scale;
+
+        context.fillStyle = '#222';
+        context.fillRect(x, y, w, h);
+        if (tile.isRendering) {
+            try {
+                context.drawImage(tile.canvas, x, y, w, h);
+            } catch (e) { }
+        } else if (tile.avatar) {
+            const radius = Math.min(w, h) / 4;
+            context.fillStyle = avatarColor(tile.userId);
+            context.beginPath();
+            context.arc(x + w / 2, y + h / 2, radius, 0, Math.PI * 2);
+            context.fill();
+            context.fillStyle = '#fff';
+            context.font = `${Math.round(radius * 0.8)}px sans-serif`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(tile.avatar.textContent, x + w / 2, y + h / 2);
+        }
+
+        const name = tile.label.textContent;
+        if (name) {
+            const fontSize = Math.max(10, Math.round(14 * scale));
+            context.font = `${fontSize}px sans-serif`;
+            context.textAlign = 'left';
+            context.textBaseline = 'bottom';
+            const textWidth = context.measureText(name).width;
+            context.fillStyle = 'rgba(0,0,0,0.6)';
+            context.fillRect(x + 5 * scale, y + h - fontSize - 10 * scale, textWidth + 10 * scale, fontSize + 6 * scale);
+            context.fillStyle = '#fff';
+            context.fillText(name, x + 10 * scale, y + h - 7 * scale);
+        }
+
+        if (tile.userId === activeSpeakerId) {
+            context.strokeStyle = themeColors(currentTheme).activeSpeaker;
+            context.lineWidth = 3;
+            context.strokeRect(x + 1.5, y + 1.5, w - 3, h - 3);
+        }
+    }
+}
+
+// Mixes this tab's audio (the meeting) and our microphone into one audio track
+async function mixMeetingAudio(includeMeeting, includeMicrophone) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        if (!includeMeeting) return null;
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.RECORDING_UNAVAILABLE, 'This browser cannot mix the meeting audio');
+    }
+
+    const audioContext = new AudioContextClass();
+    const destination = audioContext.createMediaStreamDestination();
+    const mix = { audioContext, destination, tabStream: null, micStream: null };
+
+    try {
+        // First, while the tap that started the recording still counts as a
+        // user gesture for the capture prompt
+        if (includeMeeting) {
+            mix.tabStream = await captureTabAudio();
+            audioContext.createMediaStreamSource(mix.tabStream).connect(destination);
+        }
+    } catch (e) {
+        releaseRecordingAudio(mix);
+        throw e;
+    }
+
+    if (includeMicrophone && navigator.mediaDevices) {
+        const microphone = getMediaState().microphone;
+        try {
+            mix.micStream = await navigator.mediaDevices.getUserMedia({
+                audio: microphone ? { deviceId: microphone } : true
+            });
+            audioContext.createMediaStreamSource(mix.micStream).connect(destination);
+        } catch (e) { console.warn('Recording without the microphone', e); }
+    }
+    return mix;
+}
+
+// The audio of this tab, through the browser's screen capture prompt. Video is
+// required by getDisplayMedia but not wanted, so its track is stopped.
+async function captureTabAudio() {
+    if (!navigator.mediaDevices || typeof navigator.mediaDevices.getDisplayMedia !== 'function') {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.RECORDING_UNAVAILABLE, 'This browser cannot capture the meeting audio');
+    }
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getDisplayMedia({
+            video: true,
+            audio: true,
+            preferCurrentTab: true,
+            selfBrowserSurface: 'include'
+        });
+    } catch (e) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.RECORDING_UNAVAILABLE, 'Sharing this tab with its audio is needed to record the meeting audio', e);
+    }
+    stream.getVideoTracks().forEach(track => track.stop());
+    if (!stream.getAudioTracks().length) {
+        throw new ZoomServiceError(ZOOM_ERROR_CODES.RECORDING_UNAVAILABLE, 'The tab was shared without its audio ("Share tab audio" was off)');
+    }
+    return new MediaStream(stream.getAudioTracks());
+}
+
+function releaseRecordingAudio(mix) {
+    if (mix.tabStream) mix.tabStream.getTracks().forEach(track => track.stop());
+    if (mix.micStream) mix.micStream.getTracks().forEach(track => track.stop());
+    mix.audioContext.close().catch(() => { });
+}
+
+// MediaRecorder leaves the WebM duration empty, which makes players unable to
+// seek; fix-webm-duration patches it in
+async function fixRecordingDuration(blob, durationMs) {
+    try {
+        const fixWebmDuration = await loadFixWebmDuration();
+        return await fixWebmDuration(blob, durationMs, { logger: false });
+    } catch (e) {
+        console.warn('Recording saved without a duration (not seekable)', e);
+        return blob;
+    }
+}
+
+function loadFixWebmDuration() {
+    if (typeof window.jsFixWebmDuration === 'function') {
+        return Promise.resolve(window.jsFixWebmDuration);
+    }
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = new URL(FIX_WEBM_DURATION_SRC, document.baseURI).href;
+        script.onload = () => {
+            if (typeof window.jsFixWebmDuration === 'function') resolve(window.jsFixWebmDuration);
+            else reject(new Error('fix-webm-duration did not load'));
+        };
+        script.onerror = () => reject(new Error(`Could not load ${FIX_WEBM_DURATION_SRC}`));
+        document.head.appendChild(script);
+    });
+}
+
+// --- JOIN LINKS ---
+
+// Links we send to clients open the app straight into a meeting:
+//   ?meeting=123456789&pwd=...&name=...
+//   #/join/123456789?pwd=...&name=...   (hash route)
+//   /join/123456789?pwd=...             (path route, redirected by 404.html)
+// The link is read once at page load and kept for Flutter, which asks for it
+// with consumePendingJoin() or the 'pending-join' event. The meeting number is
+// normalized like initZoom does; a bad one is reported through `error`.
+// The parameters are removed from the address bar so the password doesn't
+// stay in history, bookmarks or a reload.
+
+const JOIN_LINK_PARAMS = {
+    meeting: ['meeting', 'mn', 'meetingNumber'],
+    password: ['pwd', 'password', 'passcode'],
+    userName: ['name', 'userName']
+};
+const JOIN_HASH_ROUTE = /^#\/?join(?:\/([^/?]+))?\/?(?:\?(.*))?$/;
+
+let pendingJoin = null;
+
+function readJoinLink(location) {
+    const query = new URLSearchParams(location.search);
+    const hashMatch = String(location.hash || '').match(JOIN_HASH_ROUTE);
+    const hashQuery = new URLSearchParams(hashMatch ? hashMatch[2] || '' : '');
+
+    const pick = (names) => {
+        for (const params of [hashQuery, query]) {
+            for (const name of names) {
+                if (params.has(name)) return params.get(name);
+            }
+        }
+        return null;
+    };
+
+    let rawMeeting = pick(JOIN_LINK_PARAMS.meeting);
+    if (hashMatch && hashMatch[1]) rawMeeting = decodeURIComponent(hashMatch[1]);
+    if (rawMeeting === null) return null;
+
+    const meetingNumber = normalizeMeetingNumber(rawMeeting);
+    return {
+        meetingNumber: meetingNumber,
+        password: pick(JOIN_LINK_PARAMS.password) || '',
+        userName: pick(JOIN_LINK_PARAMS.userName) || '',
+        error: meetingNumber === null ? ZOOM_ERROR_CODES.INVALID_MEETING_NUMBER : null,
+        rawMeetingNumber: rawMeeting
+    };
+}
+
+// Drops the join parameters and hash route, keeping everything else
+function stripJoinLink(location) {
+    const url = new URL(location.href);
+    for (const names of Object.values(JOIN_LINK_PARAMS)) {
+        for (const name of names) url.searchParams.delete(name);
+    }
+    if (JOIN_HASH_ROUTE.test(url.hash)) url.hash = '';
+    return url.pathname + url.search + url.hash;
+}
+
+// Returns the pending join once; later calls get null
+function consumePendingJoin() {
+    const join = pendingJoin;
+    pendingJoin = null;
+    return join ? { ...join } : null;
+}
+
+function peekPendingJoin() {
+    return pendingJoin ? { ...pendingJoin } : null;
+}
+
+try {
+    pendingJoin = readJoinLink(window.location);
+    if (pendingJoin) {
+        console.log('Join link found for meeting', pendingJoin.meetingNumber ?? pendingJoin.rawMeetingNumber);
+        window.history.replaceState(window.history.state, '', stripJoinLink(window.location));
+    }
+} catch (e) { console.warn('Could not read the join link', e); }
+
 window.initZoom = initZoom;
 window.leaveZoom = leaveZoom;
 window.toggleZoomGrid = toggleZoomGrid;
+window.createZoomSignatureProvider = createSignatureProvider;
+window.promoteZoomCoHost = promoteToCoHost;
+window.zoomService = {
+    on: onZoomEvent,
+    off: offZoomEvent,
+    errorCodes: ZOOM_ERROR_CODES,
+    states: ZOOM_STATES,
+    getState: getZoomState,
+    setGridPage: setGridPage,
+    nextGridPage: nextGridPage,
+    previousGridPage: previousGridPage,
+    setGridTilesPerPage: setGridTilesPerPage,
+    getGridPageInfo: getGridPageInfo,
+    setGridLayout: setGridLayout,
+    pinParticipant: pinParticipant,
+    spotlightParticipant: spotlightParticipant,
+    setGridFullscreen: setGridFullscreen,
+    getLayoutProfile: getLayoutProfile,
+    setTheme: setZoomTheme,
+    getTheme: getZoomTheme,
+    setLocale: setZoomLocale,
+    getLocale: getZoomLocale,
+    sendChatMessage: sendChatMessage,
+    getChatReceivers: getChatReceivers,
+    getParticipants: getParticipants,
+    setAudioMuted: setAudioMuted,
+    setVideoEnabled: setVideoEnabled,
+    listMediaDevices: listMediaDevices,
+    switchMediaDevice: switchMediaDevice,
+    getMediaState: getMediaState,
+    setToolbarHidden: setToolbarHidden,
+    getSessionLog: getSessionLog,
+    exportSessionLog: exportSessionLog,
+    consumePendingJoin: consumePendingJoin,
+    peekPendingJoin: peekPendingJoin,
+    normalizeMeetingNumber: normalizeMeetingNumber,
+    getBreakoutRooms: getBreakoutRooms,
+    getCurrentBreakoutRoom: getCurrentBreakoutRoom,
+    joinBreakoutRoom: joinBreakoutRoom,
+    leaveBreakoutRoom: leaveBreakoutRoom,
+    startRecording: startRecording,
+    pauseRecording: pauseRecording,
+    resumeRecording: resumeRecording,
+    stopRecording: stopRecording,
+    getRecordingState: getRecordingState,
+    downloadRecording: downloadRecording,
+    shareRecording: shareRecording
+};